@@ -3,6 +3,22 @@ import { MapManager } from './map-manager.js';
 import { GPSDataManager } from './gps-data-manager.js';
 import { PointManager } from './point-manager.js';
 import { FileHandler } from './file-handler.js';
+import { ColumnMappingDialog } from './column-mapping-dialog.js';
+import { SheetSelectDialog } from './sheet-select-dialog.js';
+import { ImportReportDialog } from './import-report-dialog.js';
+import { MergePreviewDialog } from './merge-preview-dialog.js';
+import { DuplicateIdDialog } from './duplicate-id-dialog.js';
+import { NearDuplicateDialog } from './near-duplicate-dialog.js';
+import { IdSchemeDialog } from './id-scheme-dialog.js';
+import { RenumberDialog } from './renumber-dialog.js';
+import { PathDrawer } from './path-drawer.js';
+import { PointTable } from './point-table.js';
+import { TileCache } from './tile-cache.js';
+import { MarkerStyle } from './marker-style.js';
+import { MarkerStyleDialog } from './marker-style-dialog.js';
+import { POINT_LABEL_MODES } from './point-label-layer.js';
+import { PointSearch } from './point-search.js';
+import { TileCacheDialog } from './tile-cache-dialog.js';
 import { DataUtils } from './data-utils.js';
 import { CONFIG } from './config.js';
 
@@ -22,13 +38,90 @@ class PointGPSApp {
             
             // ファイルハンドラー初期化
             this.fileHandler = new FileHandler();
+            this.fileHandler.setProgressHandler((message, ratio) => this.showProgress(message, ratio));
             
             // GPSデータ管理初期化
             this.gpsDataManager = new GPSDataManager(this.fileHandler);
+
+            // 列割り当てダイアログ初期化（必須列を自動判定できない場合に使用）
+            this.columnMappingDialog = new ColumnMappingDialog();
+            this.gpsDataManager.setColumnMappingResolver((headerRow, previewRows, detectedIndexes) => {
+                this.hideProgress();
+                return this.columnMappingDialog.open(headerRow, previewRows, detectedIndexes);
+            });
+
+            // シート選択ダイアログ初期化（複数シートのExcelを読み込む場合に使用）
+            this.sheetSelectDialog = new SheetSelectDialog();
+            this.gpsDataManager.setSheetSelectionResolver(sheetNames => {
+                this.hideProgress();
+                return this.sheetSelectDialog.open(sheetNames);
+            });
+
+            // 読み込みレポートダイアログ初期化
+            this.importReportDialog = new ImportReportDialog(() => this.exportImportReport());
+
+            // 結合読み込みプレビューダイアログ初期化
+            this.mergePreviewDialog = new MergePreviewDialog();
+
+            // 重複ID一覧ダイアログ初期化
+            this.duplicateIdDialog = new DuplicateIdDialog(renames => this.renameDuplicateIds(renames));
+
+            // 近接ポイント一覧ダイアログ初期化、保存済みの重複判定距離を適用
+            this.nearDuplicateDialog = new NearDuplicateDialog(
+                distance => this.findNearDuplicateClusters(distance),
+                merges => this.mergeNearDuplicates(merges)
+            );
+            this.loadDuplicateDistance();
+
+            // ID体系設定ダイアログ初期化、保存済みのID体系・新規IDの接頭辞を適用
+            this.idSchemeDialog = new IdSchemeDialog();
+            this.loadPointIdSettings();
+            
+            // ID振り直しダイアログ初期化（並び順の経路は地図上に描く）
+            this.pathDrawer = new PathDrawer(this.mapManager);
+            this.renumberDialog = new RenumberDialog(
+                options => this.gpsDataManager.buildRenumberPreview(options),
+                () => this.drawRenumberPath()
+            );
+            
+            // オフライン地図ダイアログ初期化
+            this.tileCacheDialog = new TileCacheDialog(new TileCache(), {
+                getBounds: rangeType => this.getTileCacheBounds(rangeType),
+                onShowArea: ({ south, west, north, east }) => {
+                    this.mapManager.getMap().fitBounds([[south, west], [north, east]]);
+                }
+            });
+            this.registerServiceWorker();
             
             // ポイント管理初期化
             this.pointManager = new PointManager(this.mapManager, this.gpsDataManager);
             this.pointManager.setAppInstance(this);
+
+            // マーカーの表示ルール設定ダイアログ初期化、保存済みの表示ルールを適用
+            this.markerStyleDialog = new MarkerStyleDialog(
+                field => MarkerStyle.buildClasses(field, this.gpsDataManager.getAllPoints())
+            );
+            this.loadMarkerStyleRule();
+            this.initPointLabelControls();
+
+            // ポイント一覧表初期化（行と地図上のポイントの選択を連動）
+            this.pointTable = new PointTable(this.gpsDataManager, {
+                onRowClick: (pointId, shiftKey) => this.selectPointFromTable(pointId, shiftKey),
+                onEdit: (pointId, field, value) => this.editPointFromTable(pointId, field, value)
+            });
+            this.pointManager.setPointsChangeHandler(() => this.pointTable.refresh());
+
+            // ポイント検索欄初期化（ポイントID・名称で選択、座標はその位置へ移動）
+            this.pointSearch = new PointSearch(
+                (keyword, limit) => this.gpsDataManager.searchPoints(keyword, limit),
+                {
+                    onSelectPoint: pointId => this.selectSearchedPoint(pointId),
+                    onJumpTo: (latlng, inputValue) => this.jumpToSearchedCoordinates(latlng, inputValue)
+                }
+            );
+            this.pointManager.setSelectionChangeHandler((pointIds, primaryId) => {
+                this.pointTable.setSelection(pointIds, primaryId);
+            });
             
             // イベントハンドラー設定
             this.setupEventHandlers();
@@ -41,7 +134,7 @@ class PointGPSApp {
     }
 
     setupEventHandlers() {
-        // Excel読み込みボタン
+        // ポイント読み込みボタン（Excel, GeoJSON, GPX, KML/KMZ, CSV/TSV）
         const loadBtn = document.getElementById('loadBtn');
         const gpsCsvInput = document.getElementById('gpsCsvInput');
         
@@ -53,12 +146,21 @@ class PointGPSApp {
             const file = e.target.files[0];
             if (file) {
                 try {
-                    const pointCount = await this.gpsDataManager.loadExcelFile(file);
-                    this.pointManager.displayAllPoints();
-                    this.showMessage(`${pointCount}個のポイントを読み込みました`);
+                    const importMode = document.getElementById('importModeSelect').value;
+                    if (importMode === 'merge' && this.gpsDataManager.getPointCount() > 0) {
+                        await this.mergePointFile(file);
+                    } else {
+                        const pointCount = await this.gpsDataManager.loadFile(file);
+                        this.pointManager.displayAllPoints();
+                        this.pointManager.clearHistory();
+                        this.fitMapToPoints();
+                        this.showImportResult(`${pointCount}個のポイントを読み込みました`, pointCount);
+                    }
                 } catch (error) {
-                    console.error('Excel読み込みエラー:', error);
-                    this.showError(CONFIG.MESSAGES.EXCEL_LOAD_ERROR);
+                    console.error('ファイル読み込みエラー:', error);
+                    this.showError(`${CONFIG.MESSAGES.FILE_LOAD_ERROR}: ${error.message}`);
+                } finally {
+                    this.hideProgress();
                 }
             }
         });
@@ -79,7 +181,12 @@ class PointGPSApp {
                 const moveBtn = document.getElementById('movePointBtn');
                 moveBtn.style.backgroundColor = CONFIG.MOVE_BUTTON_ACTIVE_COLOR;
                 this.pointManager.setMovingMode(true);
-                this.showMessage(DataUtils.formatMessage('ポイント {id} をドラッグして移動してください', {id: this.pointManager.selectedPointId}));
+                const selectedCount = this.pointManager.selectedPointIds.size;
+                if (selectedCount > 1) {
+                    this.showMessage(`選択中の${selectedCount}個のポイントのいずれかをドラッグすると、まとめて移動します`);
+                } else {
+                    this.showMessage(DataUtils.formatMessage('ポイント {id} をドラッグして移動してください', {id: this.pointManager.selectedPointId}));
+                }
             } else {
                 this.showMessage(CONFIG.MESSAGES.NO_POINT_SELECTED);
             }
@@ -93,23 +200,135 @@ class PointGPSApp {
             }
             
             const selectedPointId = this.pointManager.selectedPointId;
-            if (selectedPointId && confirm(`選択したポイント ${selectedPointId} を削除しますか？`)) {
+            const selectedCount = this.pointManager.selectedPointIds.size;
+            if (selectedCount > 1) {
+                if (confirm(`選択した${selectedCount}個のポイントを削除しますか？`)) {
+                    this.pointManager.deleteSelectedPoints();
+                }
+            } else if (selectedPointId && confirm(`選択したポイント ${selectedPointId} を削除しますか？`)) {
                 this.pointManager.deleteSelectedPoint();
             } else if (!selectedPointId) {
                 this.pointManager.showMessage('削除するポイントが選択されていません');
             }
         });
 
-        // Excel出力ボタン
+        // ポイント一覧ボタン
+        document.getElementById('pointTableBtn').addEventListener('click', () => {
+            this.pointTable.toggle();
+        });
+
+        // ID重複チェックボタン
+        document.getElementById('duplicateIdBtn').addEventListener('click', () => {
+            this.duplicateIdDialog.open(this.gpsDataManager.findDuplicateIdGroups());
+        });
+
+        // 近接ポイントボタン
+        document.getElementById('nearDuplicateBtn').addEventListener('click', () => {
+            this.nearDuplicateDialog.open(this.gpsDataManager.getDuplicateDistance());
+        });
+
+        // ラベルの表示内容・表示するズームの選択
+        ['pointLabelModeSelect', 'pointLabelZoomSelect'].forEach(selectId => {
+            document.getElementById(selectId).addEventListener('change', () => {
+                this.pointManager.setLabelSettings({
+                    mode: document.getElementById('pointLabelModeSelect').value,
+                    minZoom: parseInt(document.getElementById('pointLabelZoomSelect').value, 10)
+                });
+                this.storePointLabelSettings();
+            });
+        });
+
+        // マーカー表示ボタン
+        document.getElementById('markerStyleBtn').addEventListener('click', async () => {
+            const rule = await this.markerStyleDialog.open(
+                this.pointManager.getMarkerStyleRule(),
+                this.gpsDataManager.getExtraColumns()
+            );
+            if (!rule) return;
+
+            this.pointManager.setMarkerStyleRule(rule);
+            this.storeMarkerStyleRule();
+            this.showMessage(rule.field ? 'マーカーの表示ルールを変更しました' : 'マーカーの表示ルールを解除しました');
+        });
+
+        // オフライン地図ボタン
+        document.getElementById('tileCacheBtn').addEventListener('click', () => {
+            this.tileCacheDialog.open({
+                zoom: this.mapManager.getMap().getZoom(),
+                layerIds: this.mapManager.getActiveLayerIds()
+            });
+        });
+
+        // 通信状態の変化を表示（オフライン時は保存した地図のみ表示される）
+        window.addEventListener('offline', () => {
+            this.showMessage('オフラインになりました。保存した範囲の地図のみ表示され、標高は取得できません', 'warning');
+        });
+        window.addEventListener('online', () => {
+            this.showMessage('オンラインに戻りました');
+        });
+
+        // ID体系ボタン
+        document.getElementById('idSchemeBtn').addEventListener('click', async () => {
+            const scheme = await this.idSchemeDialog.open(this.gpsDataManager.getPointIdScheme());
+            if (!scheme) return;
+
+            this.gpsDataManager.setPointIdScheme(scheme);
+            // 新しい体系に合わない接頭辞は解除（仮IDで追加）
+            if (!DataUtils.isValidPointIdPrefix(this.gpsDataManager.getActivePrefix(), scheme)) {
+                this.gpsDataManager.setActivePrefix('');
+            }
+            this.applyPointIdSettings();
+            this.storePointIdSettings();
+            this.showMessage(`ID体系を変更しました（例: ${DataUtils.getPointIdExample(scheme)}）`);
+        });
+
+        // ID振り直しボタン
+        document.getElementById('renumberBtn').addEventListener('click', () => {
+            this.renumberPoints();
+        });
+
+        // 新規IDの接頭辞フィールド（ID体系に合わない場合は元に戻す）
+        const activePrefixField = document.getElementById('activePrefixField');
+        activePrefixField.addEventListener('change', () => {
+            const scheme = this.gpsDataManager.getPointIdScheme();
+            const prefix = DataUtils.convertFullWidthToHalfWidth(activePrefixField.value).replace(/[\s　]/g, '');
+
+            if (prefix !== '' && !DataUtils.isValidPointIdPrefix(prefix, scheme)) {
+                this.showError(`接頭辞「${prefix}」はID体系に合いません（例: ${DataUtils.getPointIdExample(scheme)}）`);
+                activePrefixField.value = this.gpsDataManager.getActivePrefix();
+                return;
+            }
+
+            activePrefixField.value = prefix;
+            this.gpsDataManager.setActivePrefix(prefix);
+            this.storePointIdSettings();
+            this.showMessage(prefix
+                ? `新しいポイントには「${DataUtils.getPointIdExample(scheme, prefix)}」形式の空き番号を付けます`
+                : '新しいポイントには仮IDを付けます');
+        });
+
+        // 元に戻す・やり直しボタン
+        document.getElementById('undoBtn').addEventListener('click', () => {
+            this.pointManager.undo();
+        });
+
+        document.getElementById('redoBtn').addEventListener('click', () => {
+            this.pointManager.redo();
+        });
+
+        // ポイント出力ボタン（出力形式は選択ボックスで指定）
         const exportBtn = document.getElementById('exportBtn');
+        const exportFormatSelect = document.getElementById('exportFormatSelect');
 
         exportBtn.addEventListener('click', async () => {
             try {
+                const format = exportFormatSelect.value;
+                const formatLabel = exportFormatSelect.options[exportFormatSelect.selectedIndex].text;
                 const defaultFileName = this.fileHandler.getDefaultFileName();
-                const result = await this.gpsDataManager.exportToExcel(defaultFileName);
+                const result = await this.gpsDataManager.exportToFile(format, defaultFileName);
 
                 if (result.success) {
-                    this.showMessage(`Excelファイルを保存しました:\n${result.filename}`);
+                    this.showMessage(`${formatLabel}ファイルを保存しました:\n${result.filename}`);
                 } else if (result.error !== 'キャンセル') {
                     this.showError(`保存エラー: ${result.error}`);
                 }
@@ -133,41 +352,587 @@ class PointGPSApp {
             });
         });
         
+        // 緯度・経度・DMSフィールド（入力した座標にポイントを移動）
+        ['latDecimalField', 'lngDecimalField', 'dmsField'].forEach(fieldId => {
+            document.getElementById(fieldId).addEventListener('change', () => {
+                this.moveSelectedPointToInput(fieldId);
+            });
+        });
+
+        // 緯度・経度の組を貼り付けた場合は、そのまま選択中のポイントを移動
+        ['latDecimalField', 'lngDecimalField', 'dmsField'].forEach(fieldId => {
+            document.getElementById(fieldId).addEventListener('paste', (e) => {
+                const text = e.clipboardData ? e.clipboardData.getData('text') : '';
+                if (this.isLatLngPairInput(fieldId, text)) {
+                    e.preventDefault();
+                    this.moveSelectedPointToInput(fieldId, text);
+                }
+            });
+        });
+
+        // 座標を入力してポイントを追加（追加ボタンまたはEnterキー）
+        const addCoordinateField = document.getElementById('addCoordinateField');
+        document.getElementById('addAtCoordinateBtn').addEventListener('click', () => {
+            this.addPointAtInputCoordinates();
+        });
+        addCoordinateField.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.addPointAtInputCoordinates();
+            }
+        });
+        
         // ポイントIDフィールドの特別処理（バリデーション付き）
         const pointIdField = document.getElementById('pointIdField');
         
-        // ポイントIDのblurイベント（フォーカスアウト時の処理）
-        pointIdField.addEventListener('blur', (e) => {
-            const originalValue = e.target.value;
-            const formattedValue = DataUtils.formatPointId(originalValue);
-            
-            if (originalValue !== formattedValue) {
-                e.target.value = formattedValue;
+        // ポイントIDのchangeイベント（ID体系に合わせて修正した値で1回だけ変更、ID体系に合わない場合は警告のみ表示）
+        pointIdField.addEventListener('change', () => {
+            const scheme = this.gpsDataManager.getPointIdScheme();
+            const formattedValue = DataUtils.formatPointId(pointIdField.value, scheme);
+            if (pointIdField.value !== formattedValue) {
+                pointIdField.value = formattedValue;
                 this.showMessage(`ポイントIDを「${formattedValue}」に修正しました`);
             }
-            
-            // 値が変更された場合のみ更新処理を実行
-            if (originalValue !== e.target.value) {
-                this.pointManager.updateSelectedPointInfo();
+
+            // 変更前に、変更後のIDがID体系に合うかを確認
+            if (formattedValue !== this.pointManager.selectedPointId &&
+                !this.gpsDataManager.isTemporaryId(formattedValue) && !DataUtils.isValidPointIdFormat(formattedValue, scheme)) {
+                this.showMessage(`ポイントID「${formattedValue}」はID体系の形式（例: ${DataUtils.getPointIdExample(scheme)}）と異なります`, 'warning');
             }
-        });
-        
-        // ポイントIDのchangeイベント
-        pointIdField.addEventListener('change', () => {
+
             this.pointManager.updateSelectedPointInfo();
         });
 
-        // ESCキーで各種モードを終了
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.pointManager.setAddingMode(false);
-                this.pointManager.setMovingMode(false);
-                this.resetMoveButtonColor();
-                this.showMessage('操作をキャンセルしました');
+        // キー操作ボタン・ショートカット一覧
+        document.getElementById('shortcutHelpBtn').addEventListener('click', () => {
+            this.setShortcutHelpVisible(true);
+        });
+
+        document.getElementById('shortcutHelpCloseBtn').addEventListener('click', () => {
+            this.setShortcutHelpVisible(false);
+        });
+
+        // キーボード操作（一覧はショートカット一覧ダイアログを参照）
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    }
+
+    // キーボード操作
+    // ESCキーは常に有効、それ以外は入力欄での入力中・ダイアログの表示中は無効
+    handleKeyDown(e) {
+        if (e.key === 'Escape') {
+            if (this.isShortcutHelpVisible()) {
+                this.setShortcutHelpVisible(false);
+                return;
+            }
+            this.pointManager.setAddingMode(false);
+            this.pointManager.setMovingMode(false);
+            this.resetMoveButtonColor();
+            this.showMessage('操作をキャンセルしました');
+            return;
+        }
+
+        if (this.isTextInputTarget(e.target) || this.isDialogOpen() || e.altKey) return;
+
+        // Ctrl+Z / Ctrl+Yで元に戻す・やり直し
+        if (e.ctrlKey || e.metaKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.pointManager.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.pointManager.redo();
+            }
+            return;
+        }
+
+        // 矢印キーで選択中のポイントを移動（Shiftで大きく移動）、未選択の場合は地図を移動
+        const arrowDirections = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+        if (e.key in arrowDirections) {
+            e.preventDefault();
+            const [dx, dy] = arrowDirections[e.key];
+            if (this.pointManager.selectedPointIds.size > 0) {
+                const step = e.shiftKey ? CONFIG.NUDGE_STEP_PIXELS_LARGE : CONFIG.NUDGE_STEP_PIXELS;
+                this.pointManager.nudgeSelectedPoints(dx * step, dy * step);
+            } else {
+                this.mapManager.getMap().panBy([dx * CONFIG.KEYBOARD_PAN_PIXELS, dy * CONFIG.KEYBOARD_PAN_PIXELS]);
             }
+            return;
+        }
+
+        // Tab・Enterは、ボタン等にフォーカスがある場合はブラウザ標準の動作（フォーカス移動・ボタンの実行）を優先
+        const isFocusOnMap = e.target === document.body || e.target.closest('#map');
+
+        switch (e.key.length === 1 ? e.key.toLowerCase() : e.key) {
+            case 'Tab':
+                if (!isFocusOnMap) return;
+                e.preventDefault();
+                this.pointManager.selectAdjacentPoint(e.shiftKey ? -1 : 1);
+                break;
+            case 'n':
+                this.pointManager.selectAdjacentPoint(1);
+                break;
+            case 'p':
+                this.pointManager.selectAdjacentPoint(-1);
+                break;
+            case 'a':
+                document.getElementById('addPointBtn').click();
+                break;
+            case 'm':
+                if (this.pointManager.isMovingPoint) {
+                    this.pointManager.setMovingMode(false);
+                    this.resetMoveButtonColor();
+                    this.showMessage('移動モードを終了しました');
+                } else {
+                    document.getElementById('movePointBtn').click();
+                }
+                break;
+            case 'Delete':
+            case 'Backspace':
+                e.preventDefault();
+                this.pointManager.commitNudge();
+                document.getElementById('deletePointBtn').click();
+                break;
+            case 'Enter':
+                if (!isFocusOnMap) return;
+                e.preventDefault();
+                this.confirmKeyboardAction();
+                break;
+            case 't':
+                this.pointTable.toggle();
+                break;
+            case '+':
+            case '=':
+                this.mapManager.getMap().zoomIn();
+                break;
+            case '-':
+                this.mapManager.getMap().zoomOut();
+                break;
+            case '?':
+                this.setShortcutHelpVisible(true);
+                break;
+            case '/':
+                e.preventDefault();
+                document.getElementById('pointSearchField').focus();
+                break;
+        }
+    }
+
+    // Enterキーで操作を確定
+    // 追加モードはマウス位置（地図外の場合は地図の中心）に追加、矢印キーの移動・移動モードは確定
+    async confirmKeyboardAction() {
+        const pointManager = this.pointManager;
+        if (pointManager.isAddingPoint) {
+            const latlng = pointManager.lastMouseLatLng || this.mapManager.getMap().getCenter();
+            await pointManager.addPointAtLocation(latlng);
+            pointManager.setAddingMode(false);
+            return;
+        }
+
+        await pointManager.commitNudge();
+        if (pointManager.isMovingPoint) {
+            pointManager.setMovingMode(false);
+            this.resetMoveButtonColor();
+            this.showMessage('移動を確定しました');
+        }
+    }
+
+    // ダイアログ（モーダル）を表示中か
+    isDialogOpen() {
+        return [...document.querySelectorAll('.modal-overlay')].some(dialog => dialog.style.display !== 'none');
+    }
+
+    isShortcutHelpVisible() {
+        return document.getElementById('shortcutHelpDialog').style.display !== 'none';
+    }
+
+    setShortcutHelpVisible(visible) {
+        document.getElementById('shortcutHelpDialog').style.display = visible ? 'flex' : 'none';
+    }
+
+    // 入力欄での操作か（入力欄ではブラウザ標準の元に戻す等を優先する）
+    isTextInputTarget(target) {
+        if (!target || !target.tagName) return false;
+        const tagName = target.tagName.toLowerCase();
+        return tagName === 'textarea' || tagName === 'select' || target.isContentEditable ||
+            (tagName === 'input' && !['checkbox', 'radio', 'button'].includes(target.type));
+    }
+
+    // ファイルを読み込み、プレビューで確認してから現在のポイントに追加・更新する
+    async mergePointFile(file) {
+        const incomingPoints = await this.gpsDataManager.readPointsFromFile(file);
+        const preview = this.gpsDataManager.buildMergePreview(incomingPoints);
+        this.hideProgress();
+
+        const policy = await this.mergePreviewDialog.open(preview);
+        if (!policy) {
+            this.showMessage('追加・更新をキャンセルしました');
+            return;
+        }
+
+        const result = this.gpsDataManager.applyMerge(preview, policy);
+        this.pointManager.displayAllPoints();
+        this.pointManager.clearHistory();
+        this.fitMapToPoints();
+        this.showImportResult(
+            `追加 ${result.added}件、更新 ${result.updated}件、スキップ ${result.skipped}件`,
+            incomingPoints.length
+        );
+    }
+
+    // 保存済みのID体系・新規IDの接頭辞を読み込んで適用
+    loadPointIdSettings() {
+        try {
+            const stored = localStorage.getItem(CONFIG.POINT_ID_SCHEME_STORAGE_KEY);
+            const settings = stored ? JSON.parse(stored) : null;
+            if (settings && settings.scheme) {
+                this.gpsDataManager.setPointIdScheme(settings.scheme);
+                const prefix = settings.activePrefix || '';
+                if (DataUtils.isValidPointIdPrefix(prefix, this.gpsDataManager.getPointIdScheme())) {
+                    this.gpsDataManager.setActivePrefix(prefix);
+                }
+            }
+        } catch (error) {
+            console.warn('ID体系の読み込みに失敗しました:', error);
+        }
+        this.applyPointIdSettings();
+    }
+
+    // ID体系・新規IDの接頭辞を保存
+    storePointIdSettings() {
+        try {
+            localStorage.setItem(CONFIG.POINT_ID_SCHEME_STORAGE_KEY, JSON.stringify({
+                scheme: this.gpsDataManager.getPointIdScheme(),
+                activePrefix: this.gpsDataManager.getActivePrefix()
+            }));
+        } catch (error) {
+            console.warn('ID体系の保存に失敗しました:', error);
+        }
+    }
+
+    // ID体系を入力欄に反映（ポイントIDの最大文字数、接頭辞の入力欄）
+    applyPointIdSettings() {
+        const scheme = this.gpsDataManager.getPointIdScheme();
+        // 自動修正前の入力（例: "A 01"）を許容するため1文字余裕を持たせる
+        document.getElementById('pointIdField').maxLength = scheme.prefixMaxLength + scheme.separator.length + scheme.digits + 1;
+
+        const activePrefixField = document.getElementById('activePrefixField');
+        activePrefixField.maxLength = scheme.prefixMaxLength;
+        activePrefixField.value = this.gpsDataManager.getActivePrefix();
+    }
+
+    // 重複ID一覧から選択したポイントのIDを変更し、一覧を更新
+    renameDuplicateIds(renames) {
+        const renamedCount = this.pointManager.renamePoints(renames);
+        this.duplicateIdDialog.open(this.gpsDataManager.findDuplicateIdGroups());
+        if (renamedCount > 0) {
+            this.showMessage(`${renamedCount}個のポイントIDを変更しました`);
+        }
+    }
+
+    // 保存済みの重複判定距離（メートル）を読み込んで適用
+    loadDuplicateDistance() {
+        try {
+            const distance = parseFloat(localStorage.getItem(CONFIG.DUPLICATE_DISTANCE_STORAGE_KEY));
+            if (distance > 0) {
+                this.gpsDataManager.setDuplicateDistance(distance);
+            }
+        } catch (error) {
+            console.warn('重複判定距離の読み込みに失敗しました:', error);
+        }
+    }
+
+    // 近接ポイントを検索（検索した距離を以後の重複チェックの距離として保存）
+    findNearDuplicateClusters(distance) {
+        this.gpsDataManager.setDuplicateDistance(distance);
+        try {
+            localStorage.setItem(CONFIG.DUPLICATE_DISTANCE_STORAGE_KEY, String(distance));
+        } catch (error) {
+            console.warn('重複判定距離の保存に失敗しました:', error);
+        }
+        return this.gpsDataManager.findNearDuplicateClusters(distance);
+    }
+
+    // 近接ポイント一覧から選択した組を統合し、一覧を更新
+    mergeNearDuplicates(merges) {
+        const mergedCount = this.pointManager.mergePoints(merges);
+        this.nearDuplicateDialog.open(this.gpsDataManager.getDuplicateDistance());
+        if (mergedCount > 0) {
+            this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.NEAR_DUPLICATES_MERGED, {count: mergedCount}));
+        }
+    }
+
+    // ラベルの表示設定の選択肢を作成し、保存済みの設定を読み込んで適用
+    initPointLabelControls() {
+        const settings = { mode: 'none', minZoom: CONFIG.POINT_LABEL_MIN_ZOOM };
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.POINT_LABEL_STORAGE_KEY));
+            if (stored && stored.mode in POINT_LABEL_MODES) {
+                settings.mode = stored.mode;
+            }
+            if (stored && CONFIG.POINT_LABEL_ZOOM_OPTIONS.includes(stored.minZoom)) {
+                settings.minZoom = stored.minZoom;
+            }
+        } catch (error) {
+            console.warn('ラベルの表示設定の読み込みに失敗しました:', error);
+        }
+
+        const modeSelect = document.getElementById('pointLabelModeSelect');
+        Object.entries(POINT_LABEL_MODES).forEach(([value, label]) => {
+            modeSelect.add(new Option(label, value));
+        });
+        const zoomSelect = document.getElementById('pointLabelZoomSelect');
+        CONFIG.POINT_LABEL_ZOOM_OPTIONS.forEach(zoom => {
+            zoomSelect.add(new Option(`ズーム${zoom}以上`, String(zoom)));
+        });
+        modeSelect.value = settings.mode;
+        zoomSelect.value = String(settings.minZoom);
+
+        this.pointManager.setLabelSettings(settings);
+    }
+
+    // ラベルの表示設定を保存
+    storePointLabelSettings() {
+        try {
+            localStorage.setItem(CONFIG.POINT_LABEL_STORAGE_KEY, JSON.stringify(this.pointManager.getLabelSettings()));
+        } catch (error) {
+            console.warn('ラベルの表示設定の保存に失敗しました:', error);
+        }
+    }
+
+    // 保存済みのマーカーの表示ルールを読み込んで適用
+    loadMarkerStyleRule() {
+        try {
+            const rule = JSON.parse(localStorage.getItem(CONFIG.MARKER_STYLE_STORAGE_KEY));
+            if (rule && rule.field) {
+                this.pointManager.setMarkerStyleRule(rule);
+            }
+        } catch (error) {
+            console.warn('マーカーの表示ルールの読み込みに失敗しました:', error);
+        }
+    }
+
+    // マーカーの表示ルールを保存
+    storeMarkerStyleRule() {
+        try {
+            localStorage.setItem(CONFIG.MARKER_STYLE_STORAGE_KEY, JSON.stringify(this.pointManager.getMarkerStyleRule()));
+        } catch (error) {
+            console.warn('マーカーの表示ルールの保存に失敗しました:', error);
+        }
+    }
+
+    // オフライン用にサービスワーカーを登録（file://で開いた場合等、使用できない環境では何もしない）
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL).catch(error => {
+            console.warn('サービスワーカーの登録に失敗しました:', error);
+        });
+    }
+
+    // すべてのポイントを囲む範囲を取得（ポイントが無い場合はnull）
+    getPointsBounds() {
+        const points = this.gpsDataManager.getAllPoints();
+        if (points.length === 0) return null;
+
+        // 大量のポイントでも引数の上限を超えないよう、スプレッド構文ではなく順に比較
+        return points.reduce((bounds, point) => ({
+            south: Math.min(bounds.south, point.lat),
+            west: Math.min(bounds.west, point.lng),
+            north: Math.max(bounds.north, point.lat),
+            east: Math.max(bounds.east, point.lng)
+        }), { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity });
+    }
+
+    // 地図の表示範囲を読み込んだポイント全体に合わせる（1か所のみの場合はズームを変えずに移動）
+    fitMapToPoints() {
+        const bounds = this.getPointsBounds();
+        if (!bounds) return;
+
+        const map = this.mapManager.getMap();
+        if (bounds.south === bounds.north && bounds.west === bounds.east) {
+            map.setView([bounds.south, bounds.west]);
+            return;
+        }
+        map.fitBounds([[bounds.south, bounds.west], [bounds.north, bounds.east]], {
+            padding: [CONFIG.POINT_FIT_PADDING, CONFIG.POINT_FIT_PADDING],
+            maxZoom: CONFIG.MAP_MAX_ZOOM
         });
     }
 
+    // 検索したポイントを選択し、地図をそのポイントに移動（縮小表示中はポイントが判別できるズームまで拡大）
+    selectSearchedPoint(pointId) {
+        const point = this.gpsDataManager.getPointById(pointId);
+        if (!point) return;
+
+        this.pointManager.selectPoint(pointId);
+        const map = this.mapManager.getMap();
+        this.mapManager.setView([point.lat, point.lng], Math.max(map.getZoom(), CONFIG.POINT_SEARCH_MIN_ZOOM));
+    }
+
+    // 検索欄に入力した座標へ地図を移動
+    jumpToSearchedCoordinates(latlng, inputValue) {
+        const coordinates = this.checkInputCoordinates(latlng, inputValue);
+        if (!coordinates) return;
+
+        const map = this.mapManager.getMap();
+        this.mapManager.setView([coordinates.lat, coordinates.lng], Math.max(map.getZoom(), CONFIG.POINT_SEARCH_MIN_ZOOM));
+        this.showMessage(`座標 ${coordinates.lat.toFixed(6)}, ${coordinates.lng.toFixed(6)} へ移動しました`);
+    }
+
+    // 地図を保存する範囲を取得（'view': 表示中の範囲、'points': すべてのポイントを囲む範囲、ポイントが無い場合はnull）
+    getTileCacheBounds(rangeType) {
+        if (rangeType === 'points') {
+            return this.getPointsBounds();
+        }
+
+        const bounds = this.mapManager.getMap().getBounds();
+        return {
+            south: bounds.getSouth(),
+            west: bounds.getWest(),
+            north: bounds.getNorth(),
+            east: bounds.getEast()
+        };
+    }
+
+    // 一覧表の行のポイントを選択し、地図をそのポイントに移動（Shift+クリックは選択に追加・除外）
+    selectPointFromTable(pointId, shiftKey) {
+        const point = this.gpsDataManager.getPointById(pointId);
+        if (!point) return;
+
+        if (shiftKey) {
+            this.pointManager.togglePointSelection(pointId);
+        } else {
+            this.pointManager.selectPoint(pointId);
+        }
+        this.mapManager.getMap().panTo([point.lat, point.lng]);
+    }
+
+    // 一覧表で編集した値をポイントに反映（ポイントIDはID体系に合わせて修正）
+    editPointFromTable(pointId, field, value) {
+        if (field === 'id') {
+            value = DataUtils.formatPointId(value, this.gpsDataManager.getPointIdScheme());
+        }
+        this.pointManager.editPoint(pointId, { [field]: value });
+    }
+
+    // 緯度・経度・DMS欄の入力値に選択中のポイントを移動（解析できない・範囲外の場合は元の値に戻す）
+    // 緯度・経度欄に「緯度, 経度」の組を入力（貼り付け）した場合は両方を変更
+    async moveSelectedPointToInput(fieldId, value = document.getElementById(fieldId).value) {
+        const pointId = this.pointManager.selectedPointId;
+        const point = this.gpsDataManager.getPointById(pointId);
+        if (!point) return;
+
+        let latlng = DataUtils.parseLatLngPair(value);
+        if (fieldId !== 'dmsField' && !this.isLatLngPairInput(fieldId, value)) {
+            const axis = fieldId === 'latDecimalField' ? 'lat' : 'lng';
+            const result = DataUtils.parseCoordinate(value, axis);
+            latlng = 'error' in result ? result : { lat: point.lat, lng: point.lng, [axis]: result.value };
+        }
+
+        const coordinates = this.checkInputCoordinates(latlng, value);
+        if (!coordinates) {
+            this.pointManager.updatePointInfoDisplay(point);
+            return;
+        }
+        await this.pointManager.movePointTo(pointId, coordinates.lat, coordinates.lng);
+    }
+
+    // 緯度・経度・DMS欄の入力値が緯度・経度の組か
+    // 緯度・経度欄は1つの値として解釈できない場合のみ組とする（"35 30" は度分として扱う）
+    isLatLngPairInput(fieldId, value) {
+        if ('error' in DataUtils.parseLatLngPair(value)) return false;
+        if (fieldId === 'dmsField') return true;
+        return 'error' in DataUtils.parseCoordinate(value);
+    }
+
+    // 座標で追加欄の入力値の位置にポイントを追加
+    async addPointAtInputCoordinates() {
+        const field = document.getElementById('addCoordinateField');
+        const coordinates = this.checkInputCoordinates(DataUtils.parseLatLngPair(field.value), field.value);
+        if (!coordinates) return;
+
+        this.mapManager.setView([coordinates.lat, coordinates.lng]);
+        field.value = '';
+        await this.pointManager.addPointAtLocation(coordinates);
+    }
+
+    // 入力された座標を検証（解析できない・範囲外はエラーを表示してnull、入れ替わりは修正、日本の範囲外は警告のみ）
+    // latlng: DataUtils.parseLatLngPair等の結果 {lat, lng} | {error}
+    checkInputCoordinates(latlng, inputValue) {
+        if ('error' in latlng) {
+            this.showError(`座標として解釈できません（${latlng.error}）: ${inputValue}`);
+            return null;
+        }
+
+        const check = this.gpsDataManager.checkCoordinates(latlng.lat, latlng.lng);
+        if (check.level === 'skipped') {
+            this.showError(check.reason);
+            return null;
+        }
+        if (check.level) {
+            this.showMessage(check.reason, 'warning');
+        }
+        return { lat: check.lat, lng: check.lng };
+    }
+
+    // ID振り直しダイアログを表示し、確定したIDの変更を適用
+    async renumberPoints() {
+        if (this.gpsDataManager.getAllPoints().length === 0) {
+            this.showMessage('ポイントがありません');
+            return;
+        }
+
+        const scheme = this.gpsDataManager.getPointIdScheme();
+        const renames = await this.renumberDialog.open({
+            selectedIds: [...this.pointManager.selectedPointIds],
+            prefix: this.gpsDataManager.getActivePrefix() || DataUtils.getPointIdExamplePrefix(scheme),
+            startPointId: this.pointManager.selectedPointId
+        });
+        this.pathDrawer.clear();
+        if (!renames) return;
+
+        const count = this.pointManager.renumberPoints(renames);
+        this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.POINT_IDS_RENUMBERED, { count }));
+    }
+
+    // ID振り直しの並び順に使用する経路を地図上に描く
+    drawRenumberPath() {
+        this.showMessage('地図をクリックして経路を描き、ダブルクリックかEnterキーで終了してください（Escキーで中止）');
+        return this.pathDrawer.draw();
+    }
+
+    // 読み込み結果を表示
+    // スキップ・修正・警告した行がある場合はレポートを表示し、
+    // ファイル単位の警告（スキップした要素等）のみの場合はメッセージで表示
+    showImportResult(message, pointCount) {
+        const warnings = this.fileHandler.getImportWarnings();
+        const issues = this.gpsDataManager.getImportIssues();
+        if (issues.length > 0) {
+            this.importReportDialog.open(issues, warnings, pointCount);
+        } else if (warnings.length > 0) {
+            this.showMessage(`${message}\n${warnings.join('\n')}`, 'warning');
+        } else {
+            this.showMessage(message);
+        }
+    }
+
+    // 読み込みレポートをExcelファイルとして出力
+    async exportImportReport() {
+        try {
+            const defaultFileName = `${this.fileHandler.getDefaultFileName()}-読み込みレポート`;
+            const result = await this.gpsDataManager.exportImportReport(defaultFileName);
+
+            if (result.success) {
+                this.showMessage(`読み込みレポートを保存しました:\n${result.filename}`);
+            } else if (result.error !== 'キャンセル') {
+                this.showError(`保存エラー: ${result.error}`);
+            }
+        } catch (error) {
+            console.error('読み込みレポート出力エラー:', error);
+            this.showError(CONFIG.MESSAGES.EXPORT_ERROR);
+        }
+    }
+
     showMessage(message, type = 'info') {
         const messageArea = document.getElementById('messageArea');
         messageArea.textContent = message;
@@ -202,6 +967,23 @@ class PointGPSApp {
         this.showMessage(message, 'error');
     }
 
+    // 読み込み・解析の進捗を表示（ratioがnullの場合は進捗率不明として表示）
+    showProgress(message, ratio = null) {
+        document.getElementById('progressMessage').textContent = message;
+        const progressBar = document.getElementById('progressBar');
+        if (ratio === null) {
+            progressBar.removeAttribute('value');
+        } else {
+            progressBar.value = ratio;
+        }
+        document.getElementById('progressArea').style.display = 'block';
+    }
+
+    // 進捗表示を閉じる
+    hideProgress() {
+        document.getElementById('progressArea').style.display = 'none';
+    }
+
     // 移動ボタンの背景色をリセット
     resetMoveButtonColor() {
         const moveBtn = document.getElementById('movePointBtn');
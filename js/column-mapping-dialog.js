@@ -0,0 +1,255 @@
+// 列割り当てダイアログ管理クラス
+import { CONFIG } from './config.js';
+
+export class ColumnMappingDialog {
+    constructor() {
+        this.dialog = document.getElementById('columnMappingDialog');
+        this.previewTable = document.getElementById('columnMappingPreview');
+        this.fieldsContainer = document.getElementById('columnMappingFields');
+        this.profileSelect = document.getElementById('columnMappingProfileSelect');
+        this.profileNameField = document.getElementById('columnMappingProfileName');
+        this.okButton = document.getElementById('columnMappingOkBtn');
+
+        this.headerRow = [];
+        this.resolve = null; // 表示中のダイアログの結果を返す関数
+
+        this.initEventHandlers();
+    }
+
+    // イベントハンドラーを初期化
+    initEventHandlers() {
+        this.okButton.addEventListener('click', () => {
+            this.close(this.getSelectedIndexes());
+        });
+
+        document.getElementById('columnMappingCancelBtn').addEventListener('click', () => {
+            this.close(null);
+        });
+
+        this.profileSelect.addEventListener('change', () => {
+            const profile = this.loadProfiles().find(p => p.name === this.profileSelect.value);
+            if (profile) {
+                this.applyIndexes(this.getProfileIndexes(profile, this.headerRow));
+                this.profileNameField.value = profile.name;
+            }
+        });
+
+        document.getElementById('columnMappingSaveProfileBtn').addEventListener('click', () => {
+            this.saveCurrentAsProfile();
+        });
+
+        document.getElementById('columnMappingDeleteProfileBtn').addEventListener('click', () => {
+            this.deleteSelectedProfile();
+        });
+
+        this.fieldsContainer.addEventListener('change', () => {
+            this.updateOkButtonState();
+        });
+    }
+
+    /**
+     * ダイアログを表示し、ユーザーが割り当てた列インデックスを返す
+     * @param {Array} headerRow - ヘッダー行
+     * @param {Array} previewRows - プレビュー用のデータ行
+     * @param {Object} detectedIndexes - 自動判定できた列インデックス
+     * @returns {Promise<Object|null>} 列インデックス（キャンセル時はnull）
+     */
+    open(headerRow, previewRows, detectedIndexes = {}) {
+        this.headerRow = headerRow.map(header => (header === undefined || header === null) ? '' : String(header).trim());
+
+        this.renderPreview(previewRows);
+        this.renderFieldSelects();
+        this.applyIndexes(detectedIndexes);
+
+        // ヘッダーが一致する保存済みの割り当てがあれば適用
+        this.renderProfileOptions();
+        const matchingProfile = this.loadProfiles().find(profile =>
+            this.isProfileApplicable(profile, this.headerRow)
+        );
+        if (matchingProfile) {
+            this.profileSelect.value = matchingProfile.name;
+            this.profileNameField.value = matchingProfile.name;
+            this.applyIndexes(this.getProfileIndexes(matchingProfile, this.headerRow));
+        } else {
+            this.profileNameField.value = '';
+        }
+
+        this.dialog.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    // ダイアログを閉じて結果を返す
+    close(result) {
+        this.dialog.style.display = 'none';
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+
+    // 先頭行のプレビュー表を作成
+    renderPreview(previewRows) {
+        this.previewTable.innerHTML = '';
+
+        const thead = this.previewTable.createTHead();
+        const headerTr = thead.insertRow();
+        this.headerRow.forEach((header, index) => {
+            const th = document.createElement('th');
+            th.textContent = this.getColumnLabel(index);
+            headerTr.appendChild(th);
+        });
+
+        const tbody = this.previewTable.createTBody();
+        previewRows.forEach(row => {
+            const tr = tbody.insertRow();
+            this.headerRow.forEach((header, index) => {
+                const td = tr.insertCell();
+                const value = row[index];
+                td.textContent = value !== undefined && value !== null ? String(value) : '';
+            });
+        });
+    }
+
+    // 項目ごとの列選択ボックスを作成
+    renderFieldSelects() {
+        this.fieldsContainer.innerHTML = '';
+
+        Object.entries(CONFIG.COLUMN_HEADERS).forEach(([field, label]) => {
+            const row = document.createElement('div');
+            row.className = 'column-mapping-field';
+
+            const labelElement = document.createElement('label');
+            labelElement.htmlFor = `columnMapping-${field}`;
+            labelElement.textContent = CONFIG.REQUIRED_COLUMNS.includes(field) ? `${label} *` : label;
+
+            const select = document.createElement('select');
+            select.id = `columnMapping-${field}`;
+            select.dataset.field = field;
+            select.add(new Option('（なし）', ''));
+            this.headerRow.forEach((header, index) => {
+                select.add(new Option(this.getColumnLabel(index), String(index)));
+            });
+
+            row.appendChild(labelElement);
+            row.appendChild(select);
+            this.fieldsContainer.appendChild(row);
+        });
+    }
+
+    // 列の表示名（列番号と列名）
+    getColumnLabel(index) {
+        const header = this.headerRow[index];
+        return header ? `${index + 1}: ${header}` : `${index + 1}: （列名なし）`;
+    }
+
+    // 列インデックスを選択ボックスに反映
+    applyIndexes(indexes) {
+        this.fieldsContainer.querySelectorAll('select').forEach(select => {
+            const index = indexes[select.dataset.field];
+            select.value = (index !== undefined && index !== null) ? String(index) : '';
+        });
+        this.updateOkButtonState();
+    }
+
+    // 選択ボックスから列インデックスを取得
+    getSelectedIndexes() {
+        const indexes = {};
+        this.fieldsContainer.querySelectorAll('select').forEach(select => {
+            if (select.value !== '') {
+                indexes[select.dataset.field] = parseInt(select.value, 10);
+            }
+        });
+        return indexes;
+    }
+
+    // 必須項目がすべて割り当てられている場合のみOKボタンを有効化
+    updateOkButtonState() {
+        const indexes = this.getSelectedIndexes();
+        this.okButton.disabled = CONFIG.REQUIRED_COLUMNS.some(field => indexes[field] === undefined);
+    }
+
+    // 保存済みの割り当ての選択肢を作成
+    renderProfileOptions() {
+        this.profileSelect.innerHTML = '';
+        this.profileSelect.add(new Option('（保存済みの割り当てを選択）', ''));
+        this.loadProfiles().forEach(profile => {
+            this.profileSelect.add(new Option(profile.name, profile.name));
+        });
+    }
+
+    // 現在の割り当てを名前を付けて保存（同名の場合は上書き）
+    saveCurrentAsProfile() {
+        const name = this.profileNameField.value.trim();
+        if (!name) {
+            alert('割り当ての名前を入力してください');
+            return;
+        }
+
+        // 列番号ではなく列名で保存し、列の並びが異なるファイルにも適用できるようにする
+        const columns = {};
+        Object.entries(this.getSelectedIndexes()).forEach(([field, index]) => {
+            columns[field] = this.headerRow[index];
+        });
+
+        const profiles = this.loadProfiles().filter(profile => profile.name !== name);
+        profiles.push({ name, columns });
+        this.storeProfiles(profiles);
+
+        this.renderProfileOptions();
+        this.profileSelect.value = name;
+    }
+
+    // 選択中の保存済み割り当てを削除
+    deleteSelectedProfile() {
+        const name = this.profileSelect.value;
+        if (!name || !confirm(`割り当て「${name}」を削除しますか？`)) {
+            return;
+        }
+
+        this.storeProfiles(this.loadProfiles().filter(profile => profile.name !== name));
+        this.renderProfileOptions();
+        this.profileNameField.value = '';
+    }
+
+    // 保存済みの割り当てをヘッダー行の列インデックスに変換
+    getProfileIndexes(profile, headerRow) {
+        const indexes = {};
+        Object.entries(profile.columns).forEach(([field, header]) => {
+            const index = headerRow.indexOf(header);
+            if (index !== -1) {
+                indexes[field] = index;
+            }
+        });
+        return indexes;
+    }
+
+    // 保存済みの割り当ての必須項目がすべてヘッダー行に存在するか
+    isProfileApplicable(profile, headerRow) {
+        const indexes = this.getProfileIndexes(profile, headerRow);
+        return CONFIG.REQUIRED_COLUMNS.every(field => indexes[field] !== undefined);
+    }
+
+    // 保存済みの割り当てを読み込む
+    loadProfiles() {
+        try {
+            const stored = localStorage.getItem(CONFIG.COLUMN_MAPPING_STORAGE_KEY);
+            const profiles = stored ? JSON.parse(stored) : [];
+            return Array.isArray(profiles) ? profiles : [];
+        } catch (error) {
+            console.warn('列割り当ての読み込みに失敗しました:', error);
+            return [];
+        }
+    }
+
+    // 割り当てを保存
+    storeProfiles(profiles) {
+        try {
+            localStorage.setItem(CONFIG.COLUMN_MAPPING_STORAGE_KEY, JSON.stringify(profiles));
+        } catch (error) {
+            console.warn('列割り当ての保存に失敗しました:', error);
+        }
+    }
+}
@@ -5,40 +5,193 @@ export const CONFIG = {
     MAP_ZOOM: 15,
     
     // 国土地理院タイル設定
-    GSI_TILE_URL: 'https://cyberjapandata.gsi.go.jp/xyz/std/{z}/{x}/{y}.png',
     GSI_ATTRIBUTION: '<a href="https://maps.gsi.go.jp/development/ichiran.html" target="_blank">地理院タイル</a>',
+
+    // 背景地図（いずれか1つを表示、先頭が初期表示）
+    // maxNativeZoom: タイルが提供されている最大ズーム（それ以上は拡大して表示）
+    BASE_LAYERS: [
+        { id: 'std', name: '標準地図', url: 'https://cyberjapandata.gsi.go.jp/xyz/std/{z}/{x}/{y}.png', maxNativeZoom: 18 },
+        { id: 'pale', name: '淡色地図', url: 'https://cyberjapandata.gsi.go.jp/xyz/pale/{z}/{x}/{y}.png', maxNativeZoom: 18 },
+        { id: 'seamlessphoto', name: '写真', url: 'https://cyberjapandata.gsi.go.jp/xyz/seamlessphoto/{z}/{x}/{y}.jpg', maxNativeZoom: 18 },
+        { id: 'relief', name: '色別標高図', url: 'https://cyberjapandata.gsi.go.jp/xyz/relief/{z}/{x}/{y}.png', maxNativeZoom: 15 }
+    ],
+
+    // 重ねて表示する地図（複数表示可、opacity: 初期の不透明度）
+    // 地理院タイルには等高線のみのラスタタイルが無い（等高線は標準地図・淡色地図に含まれ、単独ではベクトルタイルのみ）ため、
+    // 等高線の代わりに地形の起伏を確認できる傾斜量図を重ねて表示できるようにしている
+    OVERLAY_LAYERS: [
+        { id: 'hillshademap', name: '陰影起伏図', url: 'https://cyberjapandata.gsi.go.jp/xyz/hillshademap/{z}/{x}/{y}.png', maxNativeZoom: 16, opacity: 0.5 },
+        { id: 'slopemap', name: '傾斜量図', url: 'https://cyberjapandata.gsi.go.jp/xyz/slopemap/{z}/{x}/{y}.png', maxNativeZoom: 15, opacity: 0.5 }
+    ],
+    MAP_MAX_ZOOM: 18,
+    MAP_LAYER_STORAGE_KEY: 'pointgps.mapLayers',
+
+    // オフライン用の地図タイル保存（キャッシュ名はsw.jsのTILE_CACHE_NAMEと合わせる）
+    SERVICE_WORKER_URL: 'sw.js',
+    TILE_CACHE_NAME: 'pointgps-tiles',
+    TILE_CACHE_AREAS_STORAGE_KEY: 'pointgps.tileCacheAreas',
+    TILE_CACHE_MAX_TILES: 20000,          // 1回に保存できる最大タイル数（地理院タイルのサーバー負荷に配慮）
+    TILE_CACHE_CONCURRENCY: 4,            // 同時に取得するタイル数
+    TILE_CACHE_AVERAGE_PNG_BYTES: 20000,  // 容量の目安に使用するタイル1枚の平均サイズ（PNG）
+    TILE_CACHE_AVERAGE_JPG_BYTES: 35000,  // 同（JPEG、写真）
     
     // ポイントマーカー設定
     POINT_MARKER_COLOR: '#008000',    // 緑(#008000) 赤色(#ff0000)
     POINT_MARKER_RADIUS: 6,
     SELECTED_POINT_COLOR: '#32cd32',  // ライムグリーン(#32cd32)  // ライム:明るい緑(#00ff00)
+    MULTI_SELECTED_POINT_COLOR: '#ff8c00',  // 複数選択時 ダークオレンジ(#ff8c00)
+    SELECTED_MARKER_RADIUS_INCREASE: 2,     // 選択中のマーカーを表示ルールの大きさより大きくする量
+
+    // マーカーの表示ルール（項目の値による色・大きさ・形の分類）
+    MARKER_STYLE_STORAGE_KEY: 'pointgps.markerStyle',
+    MARKER_STYLE_MAX_CLASSES: 10,       // 自動作成する分類の最大数
+    MARKER_STYLE_ELEVATION_RANGES: 5,   // 標高の分類を自動作成する場合の区切り数
+    MARKER_STYLE_PALETTE: ['#e41a1c', '#377eb8', '#4daf4a', '#984ea3', '#ff7f00', '#a65628', '#f781bf', '#999999', '#17becf', '#bcbd22'],
+
+    // ポイント検索・表示範囲
+    POINT_SEARCH_MAX_RESULTS: 20,       // 検索欄に表示する候補の最大数
+    POINT_SEARCH_MIN_ZOOM: 17,          // 検索したポイント・座標へ移動する場合の最小のズーム
+    POINT_FIT_PADDING: 30,              // 読み込んだポイントに表示範囲を合わせる場合の余白（px）
+
+    // ポイントのラベル（ID・名称の常時表示）
+    POINT_LABEL_STORAGE_KEY: 'pointgps.pointLabel',
+    POINT_LABEL_MIN_ZOOM: 16,           // ラベルを表示する最小のズーム（初期値）
+    POINT_LABEL_ZOOM_OPTIONS: [13, 14, 15, 16, 17, 18],
+    POINT_LABEL_MAX_COUNT: 500,         // 一度に表示するラベルの最大数
+
+    // KML出力時のアイコン設定（色はPOINT_MARKER_COLORを使用）
+    KML_ICON_URL: 'http://maps.google.com/mapfiles/kml/shapes/shaded_dot.png',
+    KML_ICON_SCALE: 0.8,
     
     // UI色設定
     MOVE_BUTTON_ACTIVE_COLOR: '#32cd32',  // ライムグリーン(#32cd32)
     
     // ファイルタイプ
     ACCEPTED_EXCEL_EXTENSIONS: ['.xlsx'],
+    DEFAULT_SHEET_NAME: 'ポイントGPS', // Excel出力時のシート名（グループなしのポイント）
+    ACCEPTED_GEOJSON_EXTENSIONS: ['.geojson', '.json'],
+    ACCEPTED_GPX_EXTENSIONS: ['.gpx'],
+    ACCEPTED_KML_EXTENSIONS: ['.kml', '.kmz'],
+    ACCEPTED_CSV_EXTENSIONS: ['.csv', '.tsv'],
+
+    // 入出力の列名（Excelヘッダー、GeoJSONプロパティ名）
+    COLUMN_HEADERS: {
+        id: 'ポイントID',
+        location: '名称',
+        lat: '緯度',
+        lng: '経度',
+        elevation: '標高',
+        remarks: '備考'
+    },
+
+    // ポイントIDの体系（既定値: 英大文字1文字-数字2桁、例: A-01）
+    // prefixChars: 接頭辞に使える文字（正規表現の文字クラス）、separator: 接頭辞と連番の区切り文字、digits: 連番の桁数
+    POINT_ID_SCHEME: {
+        prefixChars: 'A-Z',
+        prefixMinLength: 1,
+        prefixMaxLength: 1,
+        separator: '-',
+        digits: 2
+    },
+    POINT_ID_PREFIX_CHAR_OPTIONS: {
+        'A-Z': '英大文字',
+        'A-Z0-9': '英大文字・数字'
+    },
+    POINT_ID_SCHEME_STORAGE_KEY: 'pointgps.pointIdScheme',
+
+    // 必須項目
+    REQUIRED_COLUMNS: ['id', 'location', 'lat', 'lng'],
 
-    // Excel読み込み制限
-    MAX_EXCEL_ROWS: 1000,
+    // 列名の同義語（先頭ほど優先。比較時は全角→半角・大文字化し、空白・記号・括弧内の単位を除去）
+    COLUMN_SYNONYMS: {
+        id: ['ポイントID', 'ポイント番号', 'ID', 'POINTID', 'POINT', '番号', 'NO', 'CODE', 'コード'],
+        location: ['名称', '名前', '地点名', '地名', '場所', 'NAME', 'LOCATION', 'TITLE', 'PLACE'],
+        lat: ['緯度', 'LAT', 'LATITUDE', 'Y'],
+        lng: ['経度', 'LNG', 'LON', 'LONG', 'LONGITUDE', 'X'],
+        elevation: ['標高', '高さ', '高度', 'ELEVATION', 'ELE', 'ALT', 'ALTITUDE', 'HEIGHT'],
+        remarks: ['備考', 'メモ', 'コメント', '摘要', 'REMARKS', 'REMARK', 'NOTE', 'NOTES', 'COMMENT', 'DESCRIPTION', 'DESC']
+    },
+
+    // 読み込み時の座標チェック範囲（日本の概略範囲、範囲外は警告）
+    JAPAN_BOUNDS: {
+        minLat: 20,
+        maxLat: 46,
+        minLng: 122,
+        maxLng: 154
+    },
+
+    // 読み込みレポートの区分
+    IMPORT_ISSUE_LABELS: {
+        skipped: 'スキップ',
+        corrected: '修正',
+        warning: '警告'
+    },
+
+    // 列割り当てダイアログ
+    COLUMN_MAPPING_PREVIEW_ROWS: 5,
+    COLUMN_MAPPING_STORAGE_KEY: 'pointgps.columnMappingProfiles',
+
+    // 読み込み行数の上限（Excel, CSV/TSV, GeoJSON共通）
+    MAX_EXCEL_ROWS: 100000,
+
+    // 近接ポイント検索用の空間インデックスの格子サイズ（度、約1km）
+    SPATIAL_INDEX_CELL_SIZE: 0.01,
     
     // UI設定
     MESSAGE_DISPLAY_DURATION: 3000, // ms
+
+    // 元に戻す操作の履歴件数
+    UNDO_HISTORY_LIMIT: 100,
+
+    // キーボード操作
+    NUDGE_STEP_PIXELS: 1,             // 矢印キーでポイントを移動する量（画面上のピクセル数、ズームに応じた距離になる）
+    NUDGE_STEP_PIXELS_LARGE: 10,      // Shift+矢印キーの移動量
+    NUDGE_COMMIT_DELAY: 600,          // 最後のキー操作から移動を確定して標高を再取得するまでの時間（ms）
+    KEYBOARD_PAN_PIXELS: 100,         // ポイント未選択時に矢印キーで地図を移動する量
+
+    // ポイント一覧表
+    POINT_TABLE_ROW_HEIGHT: 24,       // 行の高さ（px、表示範囲の行のみ描画するため固定）
+    POINT_TABLE_OVERSCAN_ROWS: 10,    // 表示範囲の前後に余分に描画する行数
+
+    // ID振り直し
+    RENUMBER_PREVIEW_ROWS: 1000,      // プレビューに表示する最大行数
+    RENUMBER_PATH_COLOR: '#1e90ff',   // 並び順の経路の色 ドジャーブルー(#1e90ff)
     
-    // 重複チェック距離（ピクセル単位）
-    DUPLICATE_CHECK_DISTANCE: 10,
+    // 重複チェック距離（メートル単位、ズームに関係なくクリック・ドラッグ・読み込みで共通）
+    DUPLICATE_CHECK_DISTANCE: 3,
+    DUPLICATE_DISTANCE_STORAGE_KEY: 'pointgps.duplicateDistance',
+    NEAR_DUPLICATE_PREVIEW_CLUSTERS: 200, // 近接ポイント一覧に表示する最大組数
+    EARTH_RADIUS: 6371000,            // 距離計算に使用する地球の半径（メートル）
 
     // エラーメッセージ
     MESSAGES: {
         EXCEL_LOAD_SUCCESS: 'Excelファイルを正常に読み込みました',
         EXCEL_LOAD_ERROR: 'Excelファイルの読み込みに失敗しました',
+        FILE_LOAD_ERROR: 'ファイルの読み込みに失敗しました',
+        UNSUPPORTED_FILE_FORMAT: '対応していないファイル形式です（Excel(.xlsx), GeoJSON(.geojson, .json), GPX(.gpx), KML(.kml, .kmz), CSV(.csv, .tsv)を選択してください）',
         POINT_ADDED: 'ポイント {id} を追加しました',
         POINT_MOVED: 'ポイント {id} を移動しました',
         POINT_DELETED: 'ポイント {id} を削除しました',
+        POINTS_SELECTED: '{count}個のポイントを選択しています',
+        POINTS_MOVED: '{count}個のポイントを移動しました',
+        POINTS_DELETED: '{count}個のポイントを削除しました',
+        POINT_IDS_RENUMBERED: '{count}個のポイントIDを振り直しました',
         NO_POINT_SELECTED: 'ポイントが選択されていません',
         EXPORT_SUCCESS: 'ファイルを出力しました',
         EXPORT_ERROR: 'ファイル出力に失敗しました',
+        SHEET_SELECTION_CANCELLED: 'シートの選択がキャンセルされました',
+        COLUMN_MAPPING_CANCELLED: '列の割り当てがキャンセルされました',
         EXCEL_ROWS_LIMITED: '読み込み行数が上限に達しました。最初の{rows}行のみ処理されました。',
-        DUPLICATE_POINT_WARNING: '既存のポイント {id} と同じ場所には追加できません'
+        DUPLICATE_POINT_WARNING: '既存のポイント {id} と同じ場所（{distance}m以内）には追加できません',
+        NEARBY_POINT_WARNING: 'ポイント {id} から{distance}m以内にポイント {nearbyId} があります',
+        NEAR_DUPLICATES_MERGED: '{count}組の近接ポイントを統合しました',
+        DUPLICATE_POINT_ID: 'ポイントID「{id}」は既に使用されているため変更しませんでした',
+        DUPLICATE_POINT_ID_CONFIRM: 'ポイントID「{id}」は既に使用されています。\n空いているID「{suggestedId}」に変更しますか？',
+        POINT_ID_REQUIRED: 'ポイントIDを入力してください',
+        UNDO_DONE: '{label}を元に戻しました',
+        REDO_DONE: '{label}をやり直しました',
+        NOTHING_TO_UNDO: '元に戻す操作がありません',
+        ELEVATION_UPDATE_PENDING: '移動したポイントの標高を取得中です。完了してから操作してください',
+        NOTHING_TO_REDO: 'やり直す操作がありません'
     }
 };
\ No newline at end of file
@@ -1,13 +1,17 @@
+import { CONFIG } from './config.js';
+
 /**
  * データ処理とフォーマットのユーティリティクラス
  */
 export class DataUtils {
     /**
-     * ポイントIDを「X-nn」形式に自動修正する（漢字・カナは変換しない）
+     * ポイントIDをID体系の形式（接頭辞＋区切り文字＋桁数をそろえた連番）に自動修正する（漢字・カナは変換しない）
+     * 例: 体系 {接頭辞1文字, "-", 2桁} で "a1" → "A-01"、体系 {接頭辞2文字, "-", 3桁} で "mn 7" → "MN-007"
      * @param {string} value - 修正する値
+     * @param {Object} scheme - ID体系（省略時はCONFIG.POINT_ID_SCHEME）
      * @returns {string} 修正された値
      */
-    static formatPointId(value) {
+    static formatPointId(value, scheme = CONFIG.POINT_ID_SCHEME) {
         if (!value || typeof value !== 'string') {
             return value;
         }
@@ -32,38 +36,84 @@ export class DataUtils {
             return original;
         }
 
-        // 3. 末尾が1桁の数字の場合のみ、左をゼロで埋める（例："1"→"01"）
-        // 最後の2文字が数字の場合は0パディングしない
-        const lastTwoDigitsPattern = /\d{2}$/;
-        const singleDigitEndPattern = /^(.*)(\d)$/;
-        const singleDigitEndMatch = converted.match(singleDigitEndPattern);
-
-        if (singleDigitEndMatch && !singleDigitEndMatch[1].endsWith('-') && !lastTwoDigitsPattern.test(converted)) {
-            // ハイフンの直後でなく、最後の2文字が数字でない場合のみパディング
-            const prefix = singleDigitEndMatch[1];
-            const digit = singleDigitEndMatch[2];
-            converted = `${prefix}${digit.padStart(2, '0')}`;
-        }
-
-        // 4. 末尾が2桁以内の数字で、全体が3文字までの場合、数字の前に"-"を付ける
-        if (converted.length <= 3 && !converted.includes('-')) {
-            const shortPattern = /^([A-Z]+)(\d{1,2})$/;
-            const shortMatch = converted.match(shortPattern);
-
-            if (shortMatch) {
-                const letters = shortMatch[1];
-                let numbers = shortMatch[2];
-                // 1桁の数字の場合は0パディング
-                if (numbers.length === 1) {
-                    numbers = '0' + numbers;
-                }
-                return `${letters}-${numbers}`;
-            }
+        // 3. 「接頭辞＋(区切り文字)＋数字」の場合は、区切り文字を補い連番を指定桁数まで0で埋める
+        const match = converted.match(this.buildPointIdPattern(scheme, true));
+        if (match) {
+            const prefix = match[1];
+            const number = match[2].padStart(scheme.digits, '0');
+            return `${prefix}${scheme.separator}${number}`;
         }
 
         return converted;
     }
 
+    /**
+     * ポイントIDがID体系の形式（例: 体系 {接頭辞1文字, "-", 2桁} で「X-nn」）かどうかをチェック
+     * @param {string} value - 検証する値
+     * @param {Object} scheme - ID体系（省略時はCONFIG.POINT_ID_SCHEME）
+     * @returns {boolean} 有効な形式かどうか
+     */
+    static isValidPointIdFormat(value, scheme = CONFIG.POINT_ID_SCHEME) {
+        if (!value || value.trim() === '') {
+            return true;
+        }
+
+        return this.buildPointIdPattern(scheme, false).test(value);
+    }
+
+    /**
+     * 接頭辞がID体系の接頭辞の文字・文字数に合っているかをチェック
+     * @param {string} prefix - 検証する接頭辞
+     * @param {Object} scheme - ID体系（省略時はCONFIG.POINT_ID_SCHEME）
+     * @returns {boolean} 有効な接頭辞かどうか
+     */
+    static isValidPointIdPrefix(prefix, scheme = CONFIG.POINT_ID_SCHEME) {
+        return new RegExp(`^[${scheme.prefixChars}]{${scheme.prefixMinLength},${scheme.prefixMaxLength}}$`).test(prefix);
+    }
+
+    /**
+     * ID体系から正規表現を作成（1番目のグループが接頭辞、2番目のグループが連番）
+     * @param {Object} scheme - ID体系 {prefixChars, prefixMinLength, prefixMaxLength, separator, digits}
+     * @param {boolean} lenient - trueの場合は区切り文字の省略と桁数の不足を許容（自動修正用）
+     * @returns {RegExp} ポイントIDの正規表現
+     */
+    static buildPointIdPattern(scheme, lenient) {
+        const prefix = `([${scheme.prefixChars}]{${scheme.prefixMinLength},${scheme.prefixMaxLength}}${lenient ? '?' : ''})`;
+        const separator = scheme.separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (lenient) {
+            return new RegExp(`^${prefix}(?:${separator})?(\\d{1,${scheme.digits}})$`);
+        }
+        return new RegExp(`^${prefix}${separator}(\\d{${scheme.digits}})$`);
+    }
+
+    /**
+     * ID体系の例を作成（設定画面やメッセージの表示用）
+     * @param {Object} scheme - ID体系
+     * @param {string} prefix - 接頭辞（省略時は体系の文字数に合わせた例）
+     * @returns {string} 例（例: "MN-001"）
+     */
+    static getPointIdExample(scheme, prefix = '') {
+        return `${prefix || this.getPointIdExamplePrefix(scheme)}${scheme.separator}${'1'.padStart(scheme.digits, '0')}`;
+    }
+
+    /**
+     * ID体系の接頭辞の例（最小文字数の "A", "AB", …）
+     * @param {Object} scheme - ID体系
+     * @returns {string} 接頭辞の例
+     */
+    static getPointIdExamplePrefix(scheme) {
+        return 'ABCDEFGHIJ'.substring(0, Math.max(scheme.prefixMinLength, 1));
+    }
+
+    /**
+     * ポイントIDの重複判定用のキー（全角・半角、大文字・小文字、空白の違いを無視）
+     * @param {string} id - ポイントID
+     * @returns {string} 比較用のキー
+     */
+    static normalizePointIdKey(id) {
+        return this.convertFullWidthToHalfWidth(String(id)).replace(/[\s　]/g, '').toUpperCase();
+    }
+
     /**
      * 全角英文字と全角数字、全角ハイフンを半角に変換する（英文字は大文字化）
      * @param {string} str - 変換する文字列
@@ -92,44 +142,224 @@ export class DataUtils {
     }
 
     /**
-     * ポイントIDが「X-nn」形式（英大文字1桁-数字2桁）かどうかをチェック
-     * @param {string} value - 検証する値
-     * @returns {boolean} 有効な形式かどうか
+     * 緯度経度を10進数形式に変換（解析できない場合はNaN）
+     * 対応する形式はparseCoordinateを参照
+     * @param {string|number} value - 変換する値
+     * @returns {number} 10進数の座標値
      */
-    static isValidPointIdFormat(value) {
-        if (!value || value.trim() === '') {
-            return true;
+    static parseLatLng(value) {
+        const result = this.parseCoordinate(value);
+        return 'error' in result ? NaN : result.value;
+    }
+
+    /**
+     * 緯度または経度を解析
+     * 対応する形式: 10進数（35.5）、度分秒（35°30'15.5"、35度30分15.5秒、35 30 15.5）、度分（35°30.25'）、
+     * 方位（N/S/E/W、北緯・南緯・東経・西経、前後どちらでも可。S・W・南緯・西経は負の値）、負の度分秒（-35°30'15"）、
+     * 全角の数字・記号
+     * @param {string|number} value - 解析する値
+     * @param {string|null} expectedAxis - 'lat' | 'lng'（方位と異なる場合・範囲外の場合はエラー、nullの場合は判定しない）
+     * @returns {{value: number, axis: string|null}|{error: string}} 10進数の値と方位から判定した軸、または解析できない理由
+     */
+    static parseCoordinate(value, expectedAxis = null) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value)
+                ? this.checkCoordinateRange(value, null, expectedAxis)
+                : { error: '数値ではありません' };
+        }
+        if (typeof value !== 'string') {
+            return { error: '値がありません' };
+        }
+
+        let text = this.normalizeCoordinateText(value);
+        if (text === '') {
+            return { error: '値がありません' };
+        }
+
+        // 方位（前後どちらか一方）
+        let hemisphere = null;
+        const hemispherePattern = /^(北緯|南緯|東経|西経|[NSEW])\s*|\s*(北緯|南緯|東経|西経|[NSEW])$/gi;
+        const hemispheres = text.match(hemispherePattern);
+        if (hemispheres) {
+            if (hemispheres.length > 1) {
+                return { error: '方位が複数あります' };
+            }
+            hemisphere = hemispheres[0].trim().toUpperCase();
+            text = text.replace(hemispherePattern, '');
         }
+        const axis = hemisphere ? (/^(N|S|北緯|南緯)$/.test(hemisphere) ? 'lat' : 'lng') : null;
+        const isNegativeHemisphere = /^(S|W|南緯|西経)$/.test(hemisphere);
 
-        const validPattern = /^[A-Z]-\d{2}$/;
-        return validPattern.test(value);
+        // 符号
+        let sign = 1;
+        const signMatch = text.match(/^([-+])\s*/);
+        if (signMatch) {
+            if (hemisphere) {
+                return { error: '符号と方位の両方が指定されています' };
+            }
+            sign = signMatch[1] === '-' ? -1 : 1;
+            text = text.substring(signMatch[0].length);
+        }
+
+        const dms = this.parseDegreesMinutesSeconds(text);
+        if ('error' in dms) {
+            return dms;
+        }
+
+        const decimal = dms.value * (isNegativeHemisphere ? -1 : sign);
+        if (expectedAxis && axis && axis !== expectedAxis) {
+            return { error: `${axis === 'lat' ? '緯度' : '経度'}の方位が指定されています` };
+        }
+        return this.checkCoordinateRange(decimal, axis, expectedAxis);
     }
 
     /**
-     * 緯度経度を10進数形式に変換
-     * @param {string|number} value - 変換する値
-     * @returns {number} 10進数の座標値
+     * 符号・方位を除いた度分秒を解析（度・分・秒の単位記号は省略可能で、省略した場合は並び順で判定）
+     * @param {string} text - 解析する文字列（例: "35°30'15.5\"", "35 30.25", "35.5"）
+     * @returns {{value: number}|{error: string}} 10進数の値、または解析できない理由
      */
-    static parseLatLng(value) {
-        if (typeof value === 'number') {
-            return value;
+    static parseDegreesMinutesSeconds(text) {
+        const unitIndexes = { '°': 0, '度': 0, "'": 1, '分': 1, '"': 2, '秒': 2 };
+        const partPattern = /(\d+(?:\.\d+)?)\s*([°度'分"秒])?[\s:]*/y;
+        const parts = [];
+
+        while (partPattern.lastIndex < text.length) {
+            const match = partPattern.exec(text);
+            if (!match) {
+                return { error: '座標として解釈できない文字があります' };
+            }
+            const index = parts.length;
+            if (match[2] !== undefined && unitIndexes[match[2]] !== index) {
+                return { error: '度・分・秒の順序が正しくありません' };
+            }
+            parts.push(parseFloat(match[1]));
+            if (parts.length > 3) {
+                return { error: '度・分・秒より多くの数値があります' };
+            }
         }
 
-        if (typeof value === 'string') {
-            // DMS形式の場合の変換処理
-            const dmsMatch = value.match(/(\d+)[°度]\s*(\d+)[\'分]\s*([\d.]+)[\"秒]/);
-            if (dmsMatch) {
-                const degrees = parseFloat(dmsMatch[1]);
-                const minutes = parseFloat(dmsMatch[2]);
-                const seconds = parseFloat(dmsMatch[3]);
-                return degrees + minutes / 60 + seconds / 3600;
+        if (parts.length === 0) {
+            return { error: '数値がありません' };
+        }
+        // 小数は最後の値（度のみ・度分・度分秒の最後）のみ
+        if (parts.slice(0, -1).some(part => !Number.isInteger(part))) {
+            return { error: '小数は最後の値（度・分・秒のいずれか）にのみ指定できます' };
+        }
+        if (parts.slice(1).some(part => part >= 60)) {
+            return { error: '分・秒は60未満で指定してください' };
+        }
+
+        const [degrees, minutes = 0, seconds = 0] = parts;
+        return { value: degrees + minutes / 60 + seconds / 3600 };
+    }
+
+    // 座標の範囲を検証（緯度は±90度、経度・不明は±180度以内）
+    static checkCoordinateRange(value, axis, expectedAxis) {
+        const resolvedAxis = axis || expectedAxis;
+        const limit = resolvedAxis === 'lat' ? 90 : 180;
+        if (Math.abs(value) > limit) {
+            const label = resolvedAxis === 'lat' ? '緯度' : (resolvedAxis === 'lng' ? '経度' : '座標');
+            return { error: `${label}は±${limit}度以内で指定してください` };
+        }
+        return { value, axis };
+    }
+
+    /**
+     * 座標の文字列の表記を統一（全角→半角、各種の度・分・秒記号とマイナス記号を統一）
+     * @param {string} text - 座標の文字列
+     * @returns {string} 統一した文字列
+     */
+    static normalizeCoordinateText(text) {
+        return text.normalize('NFKC')
+            .replace(/[′’‘´`]{2}/g, '"')
+            .replace(/[″”“]/g, '"')
+            .replace(/[′’‘´`]/g, "'")
+            .replace(/''/g, '"')
+            .replace(/[º˚]/g, '°')
+            .replace(/[−‐‑–—―]/g, '-')
+            .replace(/、/g, ',')
+            .trim();
+    }
+
+    /**
+     * 緯度・経度の組を解析
+     * 「緯度, 経度」（カンマ・スラッシュ・セミコロン・タブ区切り）、または空白区切り（例: 35 30 15 135 20 10）に対応
+     * 方位がある場合は方位で緯度・経度を判定し、無い場合は「緯度 経度」の順とする
+     * 各値の形式はparseCoordinateを参照（DMS欄の表示形式 135°30'15.00"E 35°10'5.00"N も可）
+     * @param {string} value - 解析する文字列
+     * @returns {{lat: number, lng: number}|{error: string}} 座標、または解析できない理由
+     */
+    static parseLatLngPair(value) {
+        if (typeof value !== 'string' || value.trim() === '') {
+            return { error: '値がありません' };
+        }
+
+        const text = this.normalizeCoordinateText(value);
+        const separated = text.split(/\s*[,/;\t]\s*/).filter(part => part !== '');
+        let candidates;
+        if (separated.length === 2) {
+            candidates = [separated];
+        } else if (separated.length === 1) {
+            // 空白で区切られた値は、緯度・経度の両方として解釈できる区切り位置を探す
+            const tokens = text.split(/\s+/);
+            if (tokens.length < 2) {
+                return { error: '緯度と経度の2つの値を指定してください' };
             }
+            candidates = tokens.slice(1).map((_, index) => [
+                tokens.slice(0, index + 1).join(' '),
+                tokens.slice(index + 1).join(' ')
+            ]);
+        } else {
+            return { error: '緯度と経度の2つの値を指定してください' };
+        }
 
-            // 通常の数値文字列として解析
-            return parseFloat(value);
+        const results = candidates
+            .map(parts => this.assignLatLng(parts.map(part => this.parseCoordinate(part))))
+            .filter(result => !('error' in result));
+
+        if (results.length === 0) {
+            return candidates.length === 1
+                ? this.assignLatLng(candidates[0].map(part => this.parseCoordinate(part)))
+                : { error: '緯度と経度として解釈できません' };
+        }
+        if (results.length > 1) {
+            return { error: '緯度と経度の区切りが判別できません（カンマで区切ってください）' };
         }
+        return results[0];
+    }
 
-        return NaN;
+    // 解析した2つの値を方位（無い場合は「緯度 経度」の順）で緯度・経度に割り当て
+    static assignLatLng([first, second]) {
+        const failed = [first, second].find(result => 'error' in result);
+        if (failed) {
+            return failed;
+        }
+
+        const isLatFirst = first.axis ? first.axis === 'lat' : second.axis !== 'lat';
+        const [lat, lng] = isLatFirst ? [first, second] : [second, first];
+        if (lat.axis === 'lng' || lng.axis === 'lat') {
+            return { error: '緯度・経度の方位が重複しています' };
+        }
+
+        const latCheck = this.checkCoordinateRange(lat.value, 'lat', 'lat');
+        return 'error' in latCheck ? latCheck : { lat: lat.value, lng: lng.value };
+    }
+
+    /**
+     * 2地点間の距離を計算（球面三角法、近距離の重複判定に十分な精度）
+     * @param {number} lat1 - 地点1の緯度
+     * @param {number} lng1 - 地点1の経度
+     * @param {number} lat2 - 地点2の緯度
+     * @param {number} lng2 - 地点2の経度
+     * @returns {number} 距離（メートル）
+     */
+    static calculateDistance(lat1, lng1, lat2, lng2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLng = toRadians(lng2 - lng1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+        return 2 * CONFIG.EARTH_RADIUS * Math.asin(Math.min(Math.sqrt(a), 1));
     }
 
     /**
@@ -180,6 +410,64 @@ export class DataUtils {
         );
     }
 
+    /**
+     * 列名を比較用に正規化（全角→半角・大文字化、括弧内の単位・空白・記号を除去）
+     * 例: "Latitude (deg)" → "LATITUDE"、"標高（ｍ）" → "標高"
+     * @param {*} header - 列名
+     * @returns {string} 正規化された列名
+     */
+    static normalizeHeader(header) {
+        if (header === undefined || header === null) {
+            return '';
+        }
+        return this.convertFullWidthToHalfWidth(String(header).trim())
+            .replace(/[（(\[［].*?[)）\]］]/g, '')
+            .replace(/[\s　_\-.・:：]/g, '');
+    }
+
+    /**
+     * 日時を「yyyy/mm/dd」形式（時刻がある場合は「yyyy/mm/dd hh:mm:ss」）に変換
+     * @param {Date} date - 日時
+     * @returns {string} フォーマットされた日時
+     */
+    static formatDateTime(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const datePart = `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())}`;
+        if (date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0) {
+            return datePart;
+        }
+        return `${datePart} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * XMLの特殊文字をエスケープ
+     * @param {*} value - エスケープする値
+     * @returns {string} エスケープ後の文字列
+     */
+    static escapeXml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * #rrggbb形式の色をKMLの色形式（aabbggrr）に変換
+     * @param {string} hexColor - #rrggbb形式の色
+     * @param {string} alpha - 不透明度（16進2桁）
+     * @returns {string} KML形式の色
+     */
+    static toKmlColor(hexColor, alpha = 'ff') {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hexColor);
+        if (!match) {
+            return alpha + 'ffffff';
+        }
+        const [, rr, gg, bb] = match;
+        return `${alpha}${bb}${gg}${rr}`.toLowerCase();
+    }
+
     /**
      * テンプレート文字列をパラメータで置換
      * @param {string} template - テンプレート文字列（例: 'ポイント {id} を追加しました'）
@@ -0,0 +1,87 @@
+// 重複ID一覧ダイアログ管理クラス
+export class DuplicateIdDialog {
+    /**
+     * @param {Function} onRename - ID変更時の処理 onRename([{id, newId}, ...])
+     */
+    constructor(onRename) {
+        this.dialog = document.getElementById('duplicateIdDialog');
+        this.summary = document.getElementById('duplicateIdSummary');
+        this.table = document.getElementById('duplicateIdTable');
+        this.renameAllButton = document.getElementById('duplicateIdRenameAllBtn');
+        this.onRename = onRename;
+
+        this.groups = [];
+
+        this.initEventHandlers();
+    }
+
+    // イベントハンドラーを初期化
+    initEventHandlers() {
+        this.renameAllButton.addEventListener('click', () => {
+            const renames = this.groups.flatMap(group => group.entries)
+                .filter(entry => entry.suggestedId)
+                .map(entry => ({ id: entry.point.id, newId: entry.suggestedId }));
+            this.onRename(renames);
+        });
+
+        document.getElementById('duplicateIdCloseBtn').addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    /**
+     * 重複するIDの一覧を表示（表示中の場合は内容を更新）
+     * @param {Array<{key: string, entries: Array<{point: Object, suggestedId: string|null}>}>} groups - 重複IDのグループ
+     */
+    open(groups) {
+        this.groups = groups;
+        this.summary.textContent = groups.length === 0
+            ? '重複するポイントIDはありません'
+            : `${groups.length}件のIDが重複しています（全角・半角、大文字・小文字、空白の違いのみのIDを含む）`;
+        this.renameAllButton.disabled = groups.length === 0;
+        this.renderTable(groups);
+        this.dialog.style.display = 'flex';
+    }
+
+    // ダイアログを閉じる
+    close() {
+        this.dialog.style.display = 'none';
+    }
+
+    // 重複IDごとのポイントと提案IDを表に表示
+    renderTable(groups) {
+        this.table.innerHTML = '';
+        if (groups.length === 0) return;
+
+        const headerTr = this.table.createTHead().insertRow();
+        ['ポイントID', '名称', '緯度', '経度', '変更'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerTr.appendChild(th);
+        });
+
+        const tbody = this.table.createTBody();
+        groups.forEach(group => {
+            group.entries.forEach(({ point, suggestedId }) => {
+                const tr = tbody.insertRow();
+                [point.id, point.location, point.lat.toFixed(5), point.lng.toFixed(5)].forEach(value => {
+                    tr.insertCell().textContent = value;
+                });
+
+                const actionCell = tr.insertCell();
+                if (suggestedId) {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'table-action-btn';
+                    button.textContent = `「${suggestedId}」に変更`;
+                    button.addEventListener('click', () => {
+                        this.onRename([{ id: point.id, newId: suggestedId }]);
+                    });
+                    actionCell.appendChild(button);
+                } else {
+                    actionCell.textContent = '（維持）';
+                }
+            });
+        });
+    }
+}
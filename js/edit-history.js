@@ -0,0 +1,70 @@
+// 編集履歴（元に戻す・やり直し）管理クラス
+import { CONFIG } from './config.js';
+
+// 操作は次の形式で記録する（適用・取り消しはPointManagerが行う）
+// {type: 'add' | 'delete', label, point, index}
+// {type: 'update', label, before: {id, ...変更前の値}, after: {id, ...変更後の値}}
+// {type: 'batch', label, operations: [...]}（複数ポイントの一括操作、1回で元に戻す）
+export class EditHistory {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.changeHandler = null; // 履歴が変わったときに呼び出す処理（ボタンの有効・無効の更新等）
+    }
+
+    // 履歴が変わったときの処理を設定
+    setChangeHandler(handler) {
+        this.changeHandler = handler;
+    }
+
+    // 操作を記録（やり直しの履歴は破棄）
+    record(operation) {
+        this.undoStack.push(operation);
+        if (this.undoStack.length > CONFIG.UNDO_HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notifyChange();
+    }
+
+    // 元に戻す操作を取り出す（無い場合はnull）
+    takeUndo() {
+        const operation = this.undoStack.pop();
+        if (!operation) return null;
+
+        this.redoStack.push(operation);
+        this.notifyChange();
+        return operation;
+    }
+
+    // やり直す操作を取り出す（無い場合はnull）
+    takeRedo() {
+        const operation = this.redoStack.pop();
+        if (!operation) return null;
+
+        this.undoStack.push(operation);
+        this.notifyChange();
+        return operation;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // 履歴をすべて破棄（ファイル読み込み時等）
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        if (this.changeHandler) {
+            this.changeHandler();
+        }
+    }
+}
@@ -1,4 +1,16 @@
 import { CONFIG } from './config.js';
+import { DataUtils } from './data-utils.js';
+
+// GeoJSONプロパティ名の候補（先頭から順に採用）
+const GEOJSON_PROPERTY_KEYS = {
+    id: ['ポイントID', 'id', 'ID', 'pointId'],
+    location: ['名称', 'name', 'location'],
+    elevation: ['標高', 'elevation', 'ele'],
+    remarks: ['備考', 'remarks', 'description']
+};
+
+// CSV解析中に進捗を通知する間隔（文字数）
+const CSV_PROGRESS_INTERVAL = 1000000;
 
 /**
  * ファイル操作を管理するクラス
@@ -7,14 +19,140 @@ export class FileHandler {
     constructor() {
         this.currentFileHandle = null;
         this.currentFileName = '';
+        this.importWarnings = []; // 直近の読み込みでスキップした要素などの警告
+        this.progressHandler = null; // 読み込み・解析の進捗を通知する処理
+        this.workerAvailable = typeof Worker !== 'undefined'; // Web Workerで解析できるか
     }
 
     /**
-     * Excelファイルを読み込み・解析（高速化版・行数制限付き）
+     * 読み込み・解析の進捗を通知する処理を設定
+     * @param {Function|null} handler - handler(message, ratio)（ratioは0～1、不明な場合はnull）
+     */
+    setProgressHandler(handler) {
+        this.progressHandler = handler;
+    }
+
+    /**
+     * 進捗を通知
+     * @param {string} message - 処理内容
+     * @param {number|null} ratio - 進捗率（0～1、不明な場合はnull）
+     */
+    reportProgress(message, ratio = null) {
+        if (this.progressHandler) {
+            this.progressHandler(message, ratio);
+        }
+    }
+
+    /**
+     * Excelファイルを読み込み、すべてのシートを行配列として取得
+     * 解析はWeb Workerで行い、Workerを使用できない環境ではメインスレッドで解析する
+     * @param {File} file - Excelファイル
+     * @returns {Promise<Array<{name: string, rows: Array}>>} シート名と行配列の一覧
+     */
+    async loadExcelSheets(file) {
+        if (!this.isExcelFile(file)) {
+            throw new Error('Excelファイル(.xlsx)を選択してください');
+        }
+
+        const result = await this.parseInWorker('excel', file, async () => ({
+            sheets: this.getAllSheetRows(await this.loadExcelWorkbook(file))
+        }));
+        return result.sheets;
+    }
+
+    /**
+     * CSV/TSV・GeoJSONファイルを読み込み、Excelと同じ行配列形式に変換
+     * 解析はWeb Workerで行い、Workerを使用できない環境ではメインスレッドで解析する
+     * @param {string} format - 'csv' | 'geojson'
+     * @param {File} file - ファイル
+     * @returns {Promise<Array>} ヘッダー行＋データ行の配列
+     */
+    async loadRowsInBackground(format, file) {
+        const result = await this.parseInWorker(format, file, async () => ({
+            rows: format === 'csv' ? await this.loadCSVFile(file) : await this.loadGeoJSONFile(file)
+        }));
+        return result.rows;
+    }
+
+    /**
+     * Web Workerでファイルを解析（Workerを起動できない場合は、このファイルのみfallbackで解析）
+     * @param {string} format - 'excel' | 'csv' | 'geojson'
+     * @param {File} file - ファイル
+     * @param {Function} fallback - メインスレッドで解析する処理
+     * @returns {Promise<Object>} 解析結果（{sheets} または {rows}）
+     */
+    async parseInWorker(format, file, fallback) {
+        if (this.workerAvailable) {
+            const result = await this.runParseWorker(format, file);
+            if (result) {
+                this.importWarnings = result.warnings;
+                return result;
+            }
+            // 一時的な通信エラー等の場合もあるため、次のファイルでは再びWorkerを試す
+            console.warn('Web Workerを起動できないため、このファイルはメインスレッドで解析します');
+        }
+        return await fallback();
+    }
+
+    /**
+     * 解析用Web Workerを起動して結果を待つ
+     * @param {string} format - 'excel' | 'csv' | 'geojson'
+     * @param {File} file - ファイル
+     * @returns {Promise<Object|null>} 解析結果（Workerを起動できない場合はnull）
+     */
+    runParseWorker(format, file) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(new URL('./parse-worker.js', import.meta.url), { type: 'module' });
+            } catch (error) {
+                resolve(null);
+                return;
+            }
+
+            worker.onmessage = (e) => {
+                const message = e.data;
+                if (message.type === 'progress') {
+                    this.reportProgress(message.message, message.ratio);
+                    return;
+                }
+
+                worker.terminate();
+                if (message.type === 'result') {
+                    resolve(message);
+                } else {
+                    reject(new Error(message.message));
+                }
+            };
+
+            // 解析中のエラーはWorker内で捕捉して通知されるため、ここに来るのはスクリプトの読み込み失敗時
+            worker.onerror = (e) => {
+                e.preventDefault();
+                worker.terminate();
+                resolve(null);
+            };
+
+            worker.postMessage({ format, file });
+        });
+    }
+
+    /**
+     * Excelファイルを読み込み・解析（高速化版・行数制限付き、先頭シートのみ）
      * @param {File} file - Excelファイル
      * @returns {Promise<Object>} Excel データ
      */
     async loadExcelFile(file) {
+        const workbook = await this.loadExcelWorkbook(file);
+        return this.getSheetRows(workbook, workbook.SheetNames[0]);
+    }
+
+    /**
+     * Excelファイルをワークブックとして読み込む
+     * @param {File} file - Excelファイル
+     * @returns {Promise<Object>} SheetJSワークブック
+     */
+    async loadExcelWorkbook(file) {
+        this.importWarnings = [];
         if (!this.isExcelFile(file)) {
             throw new Error('Excelファイル(.xlsx)を選択してください');
         }
@@ -25,39 +163,617 @@ export class FileHandler {
             reader.onload = (e) => {
                 try {
                     const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    const firstSheetName = workbook.SheetNames[0];
-                    const worksheet = workbook.Sheets[firstSheetName];
-
-                    // 読み込み行数を制限（SheetJSレベルで効率的に制限）
-                    const range = worksheet['!ref'];
-                    if (range) {
-                        const decoded = XLSX.utils.decode_range(range);
-                        const originalRows = decoded.e.r + 1; // 1ベースの行数
-
-                        // データ行数を制限（設定値から1を引いて0ベースインデックスに調整）
-                        const maxRows = CONFIG.MAX_EXCEL_ROWS - 1;
-                        if (decoded.e.r > maxRows) {
-                            decoded.e.r = maxRows;
-                            worksheet['!ref'] = XLSX.utils.encode_range(decoded);
-                            console.log(`Excel読み込み行数制限: ${originalRows}行 → ${CONFIG.MAX_EXCEL_ROWS}行に制限`);
-                        }
-                    }
-
-                    const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-
-                    resolve(jsonData);
+                    this.reportProgress('Excelファイルを解析しています');
+                    // 日付セルはDateとして読み込み、出力時に日付のまま書き戻せるようにする
+                    resolve(XLSX.read(data, { type: 'array', cellDates: true }));
                 } catch (error) {
                     reject(new Error('Excelファイルの読み込みに失敗しました: ' + error.message));
                 }
             };
 
             reader.onerror = () => reject(new Error('ファイル読み込みエラー'));
+            reader.onprogress = (e) => this.reportFileReadProgress(e);
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * 指定シートを行配列として取得（行数制限付き）
+     * @param {Object} workbook - SheetJSワークブック
+     * @param {string} sheetName - シート名
+     * @returns {Array} ヘッダー行＋データ行の配列
+     */
+    getSheetRows(workbook, sheetName) {
+        const worksheet = workbook.Sheets[sheetName];
+        if (!worksheet) {
+            throw new Error(`シート「${sheetName}」が見つかりません`);
+        }
+
+        // 読み込み行数を制限（SheetJSレベルで効率的に制限）
+        const range = worksheet['!ref'];
+        if (range) {
+            const decoded = XLSX.utils.decode_range(range);
+            const originalRows = decoded.e.r + 1; // 1ベースの行数
+
+            // データ行数を制限（設定値から1を引いて0ベースインデックスに調整）
+            const maxRows = CONFIG.MAX_EXCEL_ROWS - 1;
+            if (decoded.e.r > maxRows) {
+                decoded.e.r = maxRows;
+                worksheet['!ref'] = XLSX.utils.encode_range(decoded);
+                console.log(`Excel読み込み行数制限（${sheetName}）: ${originalRows}行 → ${CONFIG.MAX_EXCEL_ROWS}行に制限`);
+            }
+        }
+
+        return XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+    }
+
+    /**
+     * すべてのシートを行配列として取得
+     * @param {Object} workbook - SheetJSワークブック
+     * @returns {Array<{name: string, rows: Array}>} シート名と行配列の一覧
+     */
+    getAllSheetRows(workbook) {
+        return workbook.SheetNames.map((name, index) => {
+            this.reportProgress(`シート「${name}」を変換しています`, index / workbook.SheetNames.length);
+            return { name, rows: this.getSheetRows(workbook, name) };
+        });
+    }
+
+    /**
+     * GeoJSONファイルを読み込み、Excelと同じ行配列形式に変換
+     * @param {File} file - GeoJSONファイル
+     * @returns {Promise<Array>} ヘッダー行＋データ行の配列
+     */
+    async loadGeoJSONFile(file) {
+        this.importWarnings = [];
+        if (!this.isGeoJSONFile(file)) {
+            throw new Error('GeoJSONファイル(.geojson, .json)を選択してください');
+        }
+
+        const text = await this.readFileAsText(file);
+
+        let geojson;
+        try {
+            this.reportProgress('GeoJSONを解析しています');
+            geojson = JSON.parse(text);
+        } catch (error) {
+            throw new Error('GeoJSONファイルの解析に失敗しました: ' + error.message);
+        }
+
+        return this.convertGeoJSONToRows(geojson);
+    }
+
+    /**
+     * GeoJSON FeatureCollectionのPointフィーチャーを行配列に変換
+     * @param {Object} geojson - GeoJSONオブジェクト
+     * @returns {Array} ヘッダー行＋データ行の配列
+     */
+    convertGeoJSONToRows(geojson) {
+        if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+            throw new Error('GeoJSONはFeatureCollection形式である必要があります');
+        }
+
+        const rows = [this.getStandardHeaderRow()];
+
+        // Excelと同じ読み込み件数上限（ヘッダー行を含めてMAX_EXCEL_ROWS）
+        const maxRows = CONFIG.MAX_EXCEL_ROWS;
+        let skippedCount = 0;
+
+        // 標準項目以外のプロパティは出現順に列として追加する
+        const knownKeys = Object.values(GEOJSON_PROPERTY_KEYS).flat();
+        const extraKeys = [];
+        const rowProperties = [];
+
+        for (const feature of geojson.features) {
+            const geometry = feature && feature.geometry;
+            if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+                skippedCount++;
+                continue;
+            }
+
+            if (rows.length >= maxRows) {
+                console.log(`GeoJSON読み込み件数制限: ${maxRows - 1}件に制限`);
+                break;
+            }
+
+            // GeoJSONの座標順は [経度, 緯度, 標高]
+            const [lng, lat, coordinateElevation] = geometry.coordinates;
+            const properties = feature.properties || {};
+
+            let elevation = this.pickProperty(properties, GEOJSON_PROPERTY_KEYS.elevation);
+            if (elevation === '' && coordinateElevation !== undefined && coordinateElevation !== null) {
+                elevation = coordinateElevation;
+            }
+
+            let id = this.pickProperty(properties, GEOJSON_PROPERTY_KEYS.id);
+            if (id === '' && feature.id !== undefined && feature.id !== null) {
+                id = feature.id;
+            }
+
+            rows.push([
+                id,
+                this.pickProperty(properties, GEOJSON_PROPERTY_KEYS.location),
+                lat,
+                lng,
+                elevation,
+                this.pickProperty(properties, GEOJSON_PROPERTY_KEYS.remarks)
+            ]);
+            rowProperties.push(properties);
+
+            Object.keys(properties).forEach(key => {
+                if (!knownKeys.includes(key) && !extraKeys.includes(key)) {
+                    extraKeys.push(key);
+                }
+            });
+        }
+
+        if (extraKeys.length > 0) {
+            rows[0].push(...extraKeys);
+            rowProperties.forEach((properties, i) => {
+                rows[i + 1].push(...extraKeys.map(key => {
+                    const value = properties[key];
+                    return value !== undefined && value !== null ? value : '';
+                }));
+            });
+        }
+
+        if (skippedCount > 0) {
+            this.importWarnings.push(`Point以外のフィーチャー ${skippedCount}件をスキップしました`);
+        }
+
+        return rows;
+    }
+
+    /**
+     * GPXファイルを読み込み、ウェイポイントをExcelと同じ行配列形式に変換
+     * @param {File} file - GPXファイル
+     * @returns {Promise<Array>} ヘッダー行＋データ行の配列
+     */
+    async loadGPXFile(file) {
+        this.importWarnings = [];
+        if (!this.isGPXFile(file)) {
+            throw new Error('GPXファイル(.gpx)を選択してください');
+        }
+
+        const text = await this.readFileAsText(file);
+        const xmlDoc = this.parseXml(text, 'GPX');
+
+        return this.convertGPXToRows(xmlDoc);
+    }
+
+    /**
+     * GPXドキュメントの<wpt>を行配列に変換（トラック・ルートポイントはスキップして警告）
+     * name→ポイントID、desc→名称（無い場合はname）、cmt→備考、ele→標高
+     * @param {Document} xmlDoc - GPXドキュメント
+     * @returns {Array} ヘッダー行＋データ行の配列
+     */
+    convertGPXToRows(xmlDoc) {
+        if (xmlDoc.getElementsByTagName('gpx').length === 0) {
+            throw new Error('GPX形式のファイルではありません');
+        }
+
+        const rows = [this.getStandardHeaderRow()];
+        const maxRows = CONFIG.MAX_EXCEL_ROWS;
+        const waypoints = xmlDoc.getElementsByTagName('wpt');
+
+        for (const wpt of Array.from(waypoints)) {
+            if (rows.length >= maxRows) {
+                console.log(`GPX読み込み件数制限: ${maxRows - 1}件に制限`);
+                break;
+            }
+
+            const name = this.getChildText(wpt, 'name');
+            const desc = this.getChildText(wpt, 'desc');
+
+            rows.push([
+                name,
+                desc || name,
+                wpt.getAttribute('lat'),
+                wpt.getAttribute('lon'),
+                this.getChildText(wpt, 'ele'),
+                this.getChildText(wpt, 'cmt')
+            ]);
+        }
+
+        const trackPointCount = xmlDoc.getElementsByTagName('trkpt').length;
+        const routePointCount = xmlDoc.getElementsByTagName('rtept').length;
+        if (trackPointCount > 0) {
+            this.importWarnings.push(`トラックポイント ${trackPointCount}件は読み込み対象外のためスキップしました`);
+        }
+        if (routePointCount > 0) {
+            this.importWarnings.push(`ルートポイント ${routePointCount}件は読み込み対象外のためスキップしました`);
+        }
+
+        return rows;
+    }
+
+    /**
+     * KML/KMZファイルを読み込み、PlacemarkのPointをExcelと同じ行配列形式に変換
+     * @param {File} file - KMLまたはKMZファイル
+     * @returns {Promise<Array>} ヘッダー行＋データ行の配列
+     */
+    async loadKMLFile(file) {
+        this.importWarnings = [];
+        if (!this.isKMLFile(file)) {
+            throw new Error('KMLファイル(.kml, .kmz)を選択してください');
+        }
+
+        let text;
+        if (file.name.toLowerCase().endsWith('.kmz')) {
+            text = await this.extractKMLFromKMZ(file);
+        } else {
+            text = await this.readFileAsText(file);
+        }
+
+        const xmlDoc = this.parseXml(text, 'KML');
+        return this.convertKMLToRows(xmlDoc);
+    }
+
+    /**
+     * KMZ（ZIP圧縮）からKML文字列を取り出す（doc.kmlを優先、無ければ最初の.kml）
+     * @param {File} file - KMZファイル
+     * @returns {Promise<string>} KML文字列
+     */
+    async extractKMLFromKMZ(file) {
+        const data = await this.readFileAsArrayBuffer(file);
+
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(data);
+        } catch (error) {
+            throw new Error('KMZファイルの展開に失敗しました: ' + error.message);
+        }
+
+        const kmlEntries = Object.values(zip.files)
+            .filter(entry => !entry.dir && entry.name.toLowerCase().endsWith('.kml'));
+        const entry = kmlEntries.find(e => e.name.toLowerCase() === 'doc.kml') || kmlEntries[0];
+        if (!entry) {
+            throw new Error('KMZファイル内にKMLファイルが見つかりません');
+        }
+
+        return await entry.async('string');
+    }
+
+    /**
+     * KMLドキュメントのPoint Placemarkを行配列に変換（その他のジオメトリはスキップして警告）
+     * ExtendedDataの列名（名称、標高、備考等）を優先し、無い場合は name→ポイントID、
+     * description→名称（無い場合はname）、座標の高度→標高 として扱う
+     * @param {Document} xmlDoc - KMLドキュメント
+     * @returns {Array} ヘッダー行＋データ行の配列
+     */
+    convertKMLToRows(xmlDoc) {
+        if (xmlDoc.getElementsByTagName('kml').length === 0) {
+            throw new Error('KML形式のファイルではありません');
+        }
+
+        const headers = CONFIG.COLUMN_HEADERS;
+        const rows = [this.getStandardHeaderRow()];
+        const maxRows = CONFIG.MAX_EXCEL_ROWS;
+        const skippedGeometries = {};
+
+        for (const placemark of Array.from(xmlDoc.getElementsByTagName('Placemark'))) {
+            const geometry = Array.from(placemark.children).find(child =>
+                ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry', 'Model', 'Track', 'MultiTrack'].includes(child.localName)
+            );
+            const geometryType = geometry ? geometry.localName : 'ジオメトリなし';
+            if (geometryType !== 'Point') {
+                skippedGeometries[geometryType] = (skippedGeometries[geometryType] || 0) + 1;
+                continue;
+            }
+
+            if (rows.length >= maxRows) {
+                console.log(`KML読み込み件数制限: ${maxRows - 1}件に制限`);
+                break;
+            }
+
+            // 座標は「経度,緯度[,高度]」
+            const [lng, lat, altitude] = this.getChildText(geometry, 'coordinates').split(',').map(v => v.trim());
+            const extendedData = this.getKMLExtendedData(placemark);
+            const name = this.getChildText(placemark, 'name');
+            const description = this.getChildText(placemark, 'description').replace(/<[^>]*>/g, ' ').trim();
+
+            rows.push([
+                extendedData[headers.id] || name,
+                extendedData[headers.location] || description || name,
+                lat,
+                lng,
+                extendedData[headers.elevation] !== undefined ? extendedData[headers.elevation] : (altitude || ''),
+                extendedData[headers.remarks] || ''
+            ]);
+        }
+
+        const skippedSummary = Object.entries(skippedGeometries).map(([type, count]) => `${type} ${count}件`);
+        if (skippedSummary.length > 0) {
+            this.importWarnings.push(`Point以外のPlacemarkをスキップしました（${skippedSummary.join(', ')}）`);
+        }
+
+        return rows;
+    }
+
+    /**
+     * PlacemarkのExtendedData（Data要素）を取得
+     * @param {Element} placemark - Placemark要素
+     * @returns {Object} 名前→値のオブジェクト
+     */
+    getKMLExtendedData(placemark) {
+        const result = {};
+        for (const data of Array.from(placemark.getElementsByTagName('Data'))) {
+            const name = data.getAttribute('name');
+            if (name) {
+                result[name] = this.getChildText(data, 'value');
+            }
+        }
+        return result;
+    }
+
+    /**
+     * ファイルをArrayBufferとして読み込む
+     * @param {File} file - ファイル
+     * @returns {Promise<ArrayBuffer>} ファイル内容
+     */
+    readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('ファイル読み込みエラー'));
+            reader.onprogress = (e) => this.reportFileReadProgress(e);
             reader.readAsArrayBuffer(file);
         });
     }
 
+    /**
+     * ファイル読み込みの進捗を通知
+     * @param {ProgressEvent} e - FileReaderの進捗イベント
+     */
+    reportFileReadProgress(e) {
+        this.reportProgress('ファイルを読み込んでいます', e.lengthComputable ? e.loaded / e.total : null);
+    }
+
+    /**
+     * CSV/TSVファイルを読み込み、Excelと同じ行配列形式に変換
+     * 文字コード（UTF-8 BOM有無、Shift_JIS）と区切り文字（カンマ、タブ、セミコロン）は自動判定
+     * @param {File} file - CSVまたはTSVファイル
+     * @returns {Promise<Array>} ヘッダー行＋データ行の配列
+     */
+    async loadCSVFile(file) {
+        this.importWarnings = [];
+        if (!this.isCSVFile(file)) {
+            throw new Error('CSVファイル(.csv, .tsv)を選択してください');
+        }
+
+        const buffer = await this.readFileAsArrayBuffer(file);
+        const { text } = this.decodeText(buffer);
+        const delimiter = file.name.toLowerCase().endsWith('.tsv') ? '\t' : this.detectDelimiter(text);
+
+        const rows = this.parseDelimitedText(text, delimiter);
+
+        // Excelと同じ読み込み行数上限
+        if (rows.length > CONFIG.MAX_EXCEL_ROWS) {
+            console.log(`CSV読み込み行数制限: ${rows.length}行 → ${CONFIG.MAX_EXCEL_ROWS}行に制限`);
+            rows.length = CONFIG.MAX_EXCEL_ROWS;
+        }
+
+        return rows;
+    }
+
+    /**
+     * バイト列の文字コードを判定してデコード
+     * BOM付きUTF-8 → UTF-8として正しくデコードできるもの → それ以外はShift_JIS の順に判定
+     * @param {ArrayBuffer} buffer - ファイル内容
+     * @returns {{text: string, encoding: string}} デコード結果と判定した文字コード
+     */
+    decodeText(buffer) {
+        const bytes = new Uint8Array(buffer);
+
+        if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8 (BOM)' };
+        }
+
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+        } catch (error) {
+            return { text: new TextDecoder('shift_jis').decode(bytes), encoding: 'Shift_JIS' };
+        }
+    }
+
+    /**
+     * 先頭数行から区切り文字を判定（各行で出現数が安定している文字を優先）
+     * @param {string} text - CSVテキスト
+     * @returns {string} 区切り文字
+     */
+    detectDelimiter(text) {
+        const sampleLines = text.split(/\r\n|\n|\r/).filter(line => line.trim() !== '').slice(0, 5);
+        if (sampleLines.length === 0) {
+            return ',';
+        }
+
+        let bestDelimiter = ',';
+        let bestScore = 0;
+
+        for (const delimiter of ['\t', ',', ';']) {
+            // 引用符内の文字は数えない
+            const counts = sampleLines.map(line => {
+                let count = 0;
+                let inQuotes = false;
+                for (const char of line) {
+                    if (char === '"') {
+                        inQuotes = !inQuotes;
+                    } else if (char === delimiter && !inQuotes) {
+                        count++;
+                    }
+                }
+                return count;
+            });
+            const score = Math.min(...counts);
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestDelimiter = delimiter;
+            }
+        }
+
+        return bestDelimiter;
+    }
+
+    /**
+     * 区切り文字形式のテキストを行配列に分解（引用符、引用符内の改行・""エスケープに対応）
+     * @param {string} text - CSVテキスト
+     * @param {string} delimiter - 区切り文字
+     * @returns {Array<Array<string>>} 行配列
+     */
+    parseDelimitedText(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (i % CSV_PROGRESS_INTERVAL === 0) {
+                this.reportProgress('CSVを解析しています', i / text.length);
+            }
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        // 末尾に改行が無い場合の最終行
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * XML文字列を解析
+     * @param {string} text - XML文字列
+     * @param {string} formatName - エラーメッセージ用の形式名
+     * @returns {Document} XMLドキュメント
+     */
+    parseXml(text, formatName) {
+        const xmlDoc = new DOMParser().parseFromString(text, 'application/xml');
+        if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`${formatName}ファイルの解析に失敗しました`);
+        }
+        return xmlDoc;
+    }
+
+    /**
+     * 直下の子要素のテキストを取得
+     * @param {Element} element - 親要素
+     * @param {string} tagName - 子要素のタグ名
+     * @returns {string} テキスト（存在しない場合は空文字）
+     */
+    getChildText(element, tagName) {
+        for (const child of Array.from(element.children)) {
+            if (child.localName === tagName) {
+                return child.textContent.trim();
+            }
+        }
+        return '';
+    }
+
+    /**
+     * 標準の列名によるヘッダー行を取得
+     * @returns {Array<string>} ヘッダー行
+     */
+    getStandardHeaderRow() {
+        const headers = CONFIG.COLUMN_HEADERS;
+        return [headers.id, headers.location, headers.lat, headers.lng, headers.elevation, headers.remarks];
+    }
+
+    /**
+     * 直近の読み込みで発生した警告を取得
+     * @returns {Array<string>} 警告メッセージ
+     */
+    getImportWarnings() {
+        return [...this.importWarnings];
+    }
+
+    /**
+     * 候補キーのうち最初に値が存在するプロパティを取得
+     * @param {Object} properties - GeoJSONプロパティ
+     * @param {Array<string>} keys - 候補キー
+     * @returns {*} プロパティ値（存在しない場合は空文字）
+     */
+    pickProperty(properties, keys) {
+        for (const key of keys) {
+            const value = properties[key];
+            if (value !== undefined && value !== null && value !== '') {
+                return value;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * ファイルをテキストとして読み込む
+     * @param {File} file - ファイル
+     * @param {string} encoding - 文字コード
+     * @returns {Promise<string>} ファイル内容
+     */
+    readFileAsText(file, encoding = 'UTF-8') {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('ファイル読み込みエラー'));
+            reader.onprogress = (e) => this.reportFileReadProgress(e);
+            reader.readAsText(file, encoding);
+        });
+    }
+
+    /**
+     * 拡張子からファイル形式を判定
+     * @param {File} file - ファイル
+     * @returns {string|null} 'excel' | 'geojson' | 'gpx' | 'kml' | 'csv'（対応外の場合はnull）
+     */
+    getFileFormat(file) {
+        if (this.isExcelFile(file)) {
+            return 'excel';
+        }
+        if (this.isGeoJSONFile(file)) {
+            return 'geojson';
+        }
+        if (this.isGPXFile(file)) {
+            return 'gpx';
+        }
+        if (this.isKMLFile(file)) {
+            return 'kml';
+        }
+        if (this.isCSVFile(file)) {
+            return 'csv';
+        }
+        return null;
+    }
+
     /**
      * 現在のファイル名を取得
      * @returns {string} ファイル名
@@ -96,6 +812,46 @@ export class FileHandler {
                file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
     }
 
+    /**
+     * GeoJSONファイルかどうかを判定（MIMEタイプは環境依存のため拡張子のみで判定）
+     * @param {File} file - ファイル
+     * @returns {boolean} GeoJSONファイルかどうか
+     */
+    isGeoJSONFile(file) {
+        const name = file.name.toLowerCase();
+        return CONFIG.ACCEPTED_GEOJSON_EXTENSIONS.some(ext => name.endsWith(ext));
+    }
+
+    /**
+     * GPXファイルかどうかを判定
+     * @param {File} file - ファイル
+     * @returns {boolean} GPXファイルかどうか
+     */
+    isGPXFile(file) {
+        const name = file.name.toLowerCase();
+        return CONFIG.ACCEPTED_GPX_EXTENSIONS.some(ext => name.endsWith(ext));
+    }
+
+    /**
+     * KML/KMZファイルかどうかを判定
+     * @param {File} file - ファイル
+     * @returns {boolean} KML/KMZファイルかどうか
+     */
+    isKMLFile(file) {
+        const name = file.name.toLowerCase();
+        return CONFIG.ACCEPTED_KML_EXTENSIONS.some(ext => name.endsWith(ext));
+    }
+
+    /**
+     * CSV/TSVファイルかどうかを判定
+     * @param {File} file - ファイル
+     * @returns {boolean} CSV/TSVファイルかどうか
+     */
+    isCSVFile(file) {
+        const name = file.name.toLowerCase();
+        return CONFIG.ACCEPTED_CSV_EXTENSIONS.some(ext => name.endsWith(ext));
+    }
+
     /**
      * ワークシートの列幅を自動調整
      * @param {Object} worksheet - SheetJSワークシート
@@ -138,11 +894,22 @@ export class FileHandler {
      * @returns {Object} 作成されたワークブック
      */
     createExcelWorkbook(data) {
-        const worksheet = XLSX.utils.aoa_to_sheet(data);
-        this.setColumnWidths(worksheet, data);
-        
+        return this.createExcelWorkbookFromSheets([{ name: CONFIG.DEFAULT_SHEET_NAME, data: data }]);
+    }
+
+    /**
+     * 複数シートのExcelワークブックを作成
+     * @param {Array<{name: string, data: Array}>} sheets - シート名とExcelデータ配列
+     * @returns {Object} 作成されたワークブック
+     */
+    createExcelWorkbookFromSheets(sheets) {
         const workbook = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(workbook, worksheet, 'ポイントGPS');
+
+        sheets.forEach(sheet => {
+            const worksheet = XLSX.utils.aoa_to_sheet(sheet.data);
+            this.setColumnWidths(worksheet, sheet.data);
+            XLSX.utils.book_append_sheet(workbook, worksheet, sheet.name);
+        });
         
         return workbook;
     }
@@ -165,20 +932,183 @@ export class FileHandler {
      * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
      */
     async saveExcelWithUserChoice(data, defaultFilename) {
-        const workbook = this.createExcelWorkbook(data);
+        return await this.saveWorkbookWithUserChoice(this.createExcelWorkbook(data), defaultFilename);
+    }
+
+    /**
+     * ユーザーが場所を指定して複数シートのExcelファイルを保存
+     * @param {Array<{name: string, data: Array}>} sheets - シート名とExcelデータ配列
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
+     */
+    async saveExcelSheetsWithUserChoice(sheets, defaultFilename) {
+        return await this.saveWorkbookWithUserChoice(this.createExcelWorkbookFromSheets(sheets), defaultFilename);
+    }
+
+    /**
+     * ユーザーが場所を指定してワークブックを保存
+     * @param {Object} workbook - SheetJSワークブック
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
+     */
+    async saveWorkbookWithUserChoice(workbook, defaultFilename) {
         const excelData = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
         const blob = new Blob([excelData], { 
             type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
         });
-        
+
+        return await this.saveBlobWithUserChoice(blob, defaultFilename, {
+            extension: '.xlsx',
+            description: 'Excel Files',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    }
+
+    /**
+     * ユーザーが場所を指定してGeoJSONファイルを保存
+     * @param {Object} geojson - GeoJSONオブジェクト
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
+     */
+    async saveGeoJSONWithUserChoice(geojson, defaultFilename) {
+        const blob = new Blob([JSON.stringify(geojson, null, 2)], { type: 'application/geo+json' });
+
+        return await this.saveBlobWithUserChoice(blob, defaultFilename, {
+            extension: '.geojson',
+            description: 'GeoJSON Files',
+            mimeType: 'application/geo+json'
+        });
+    }
+
+    /**
+     * ユーザーが場所を指定してGPXファイルを保存
+     * @param {string} gpxText - GPX文字列
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
+     */
+    async saveGPXWithUserChoice(gpxText, defaultFilename) {
+        const blob = new Blob([gpxText], { type: 'application/gpx+xml' });
+
+        return await this.saveBlobWithUserChoice(blob, defaultFilename, {
+            extension: '.gpx',
+            description: 'GPX Files',
+            mimeType: 'application/gpx+xml'
+        });
+    }
+
+    /**
+     * ユーザーが場所を指定してKMLファイルを保存
+     * @param {string} kmlText - KML文字列
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
+     */
+    async saveKMLWithUserChoice(kmlText, defaultFilename) {
+        const blob = new Blob([kmlText], { type: 'application/vnd.google-earth.kml+xml' });
+
+        return await this.saveBlobWithUserChoice(blob, defaultFilename, {
+            extension: '.kml',
+            description: 'KML Files',
+            mimeType: 'application/vnd.google-earth.kml+xml'
+        });
+    }
+
+    /**
+     * KMLをdoc.kmlとしてZIP圧縮し、ユーザーが場所を指定してKMZファイルを保存
+     * @param {string} kmlText - KML文字列
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
+     */
+    async saveKMZWithUserChoice(kmlText, defaultFilename) {
+        const zip = new JSZip();
+        zip.file('doc.kml', kmlText);
+        const blob = await zip.generateAsync({
+            type: 'blob',
+            mimeType: 'application/vnd.google-earth.kmz',
+            compression: 'DEFLATE'
+        });
+
+        return await this.saveBlobWithUserChoice(blob, defaultFilename, {
+            extension: '.kmz',
+            description: 'KMZ Files',
+            mimeType: 'application/vnd.google-earth.kmz'
+        });
+    }
+
+    /**
+     * ユーザーが場所を指定してCSV/TSVファイルを保存
+     * @param {Array} data - 行配列（Excel出力と同じ形式）
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @param {{delimiter?: string, encoding?: string}} options - 区切り文字、文字コード（'utf-8'はBOM付き、'shift_jis'）
+     * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
+     */
+    async saveCSVWithUserChoice(data, defaultFilename, options = {}) {
+        const delimiter = options.delimiter || ',';
+        const encoding = options.encoding || 'utf-8';
+        const isTsv = delimiter === '\t';
+
+        // Excelで開けるよう改行はCRLF、区切り文字・引用符・改行を含む値は引用符で囲む
+        const text = data.map(row => row.map(cell => {
+            const value = cell instanceof Date
+                ? DataUtils.formatDateTime(cell)
+                : (cell === undefined || cell === null ? '' : String(cell));
+            return /["\r\n]/.test(value) || value.includes(delimiter)
+                ? `"${value.replace(/"/g, '""')}"`
+                : value;
+        }).join(delimiter)).join('\r\n') + '\r\n';
+
+        let content;
+        if (encoding === 'shift_jis') {
+            content = new Uint8Array(Encoding.convert(Encoding.stringToCode(text), { to: 'SJIS', from: 'UNICODE' }));
+        } else {
+            content = '\uFEFF' + text; // ExcelでUTF-8と認識させるためBOMを付与
+        }
+
+        const mimeType = isTsv ? 'text/tab-separated-values' : 'text/csv';
+        const blob = new Blob([content], { type: mimeType });
+
+        return await this.saveBlobWithUserChoice(blob, defaultFilename, {
+            extension: isTsv ? '.tsv' : '.csv',
+            description: isTsv ? 'TSV Files' : 'CSV Files',
+            mimeType: mimeType
+        });
+    }
+
+    /**
+     * Blobをファイルとしてダウンロード
+     * @param {Blob} blob - 出力データ
+     * @param {string} filename - ファイル名
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * ユーザーが場所を指定してBlobを保存（File System Access API非対応時はダウンロード）
+     * @param {Blob} blob - 出力データ
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @param {{extension: string, description: string, mimeType: string}} fileType - ファイル種別
+     * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
+     */
+    async saveBlobWithUserChoice(blob, defaultFilename, fileType) {
+        const filename = defaultFilename.endsWith(fileType.extension)
+            ? defaultFilename
+            : defaultFilename + fileType.extension;
+
         try {
             if ('showSaveFilePicker' in window) {
                 let savePickerOptions = {
-                    suggestedName: defaultFilename.endsWith('.xlsx') ? defaultFilename : defaultFilename + '.xlsx',
+                    suggestedName: filename,
                     types: [{
-                        description: 'Excel Files',
+                        description: fileType.description,
                         accept: {
-                            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
+                            [fileType.mimeType]: [fileType.extension]
                         }
                     }]
                 };
@@ -199,8 +1129,8 @@ export class FileHandler {
                 
                 return { success: true, filename: fileHandle.name };
             } else {
-                this.downloadExcel(data, defaultFilename);
-                return { success: true, filename: defaultFilename };
+                this.downloadBlob(blob, filename);
+                return { success: true, filename: filename };
             }
         } catch (error) {
             if (error.name === 'AbortError') {
@@ -208,11 +1138,11 @@ export class FileHandler {
             }
             
             try {
-                this.downloadExcel(data, defaultFilename);
-                return { success: true, filename: defaultFilename };
+                this.downloadBlob(blob, filename);
+                return { success: true, filename: filename };
             } catch (downloadError) {
                 return { success: false, error: error.message };
             }
         }
     }
-}
\ No newline at end of file
+}
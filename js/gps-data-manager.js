@@ -1,66 +1,232 @@
 import { CONFIG } from './config.js';
 import { DataUtils } from './data-utils.js';
 import { ElevationAPI } from './elevation-api.js';
+import { PointOrder } from './point-order.js';
+import { SpatialIndex } from './spatial-index.js';
 
 // GPSデータ管理クラス
 export class GPSDataManager {
     constructor(fileHandler = null) {
         this.gpsPoints = [];
         this.fileHandler = fileHandler;
+        this.importIssues = []; // 直近の読み込みでスキップ・修正・警告した行 {sheet, row, id, level, reason}
+        this.extraColumns = []; // 認識できなかった列（元の並び順）。出力時に標準列の後ろへ出力
+        this.importedExtraColumns = []; // 直近の読み込みで見つかった認識できなかった列
+        this.importRowNumbers = new WeakMap(); // 直近の読み込みのポイント -> 読み込み元の行番号（レポート用）
+        this.columnMappingResolver = null; // 列を自動判定できない場合に呼び出す割り当て処理
+        this.sheetSelectionResolver = null; // 複数シートのExcelで読み込むシートを選択する処理
+        this.pointIdScheme = { ...CONFIG.POINT_ID_SCHEME }; // ポイントIDの体系
+        this.activePrefix = ''; // 新しいポイントのIDの接頭辞（空の場合は仮ID）
+        this.duplicateDistance = CONFIG.DUPLICATE_CHECK_DISTANCE; // 同じ場所とみなす距離（メートル）
+    }
+
+    // ポイントIDの体系を設定
+    setPointIdScheme(scheme) {
+        this.pointIdScheme = { ...CONFIG.POINT_ID_SCHEME, ...scheme };
+    }
+
+    // ポイントIDの体系を取得
+    getPointIdScheme() {
+        return { ...this.pointIdScheme };
+    }
+
+    // 新しいポイントのIDの接頭辞を設定（空の場合は仮IDで追加）
+    setActivePrefix(prefix) {
+        this.activePrefix = prefix;
+    }
+
+    // 新しいポイントのIDの接頭辞を取得
+    getActivePrefix() {
+        return this.activePrefix;
+    }
+
+    // 同じ場所とみなす距離（メートル）を設定
+    setDuplicateDistance(distance) {
+        this.duplicateDistance = distance;
+    }
+
+    // 同じ場所とみなす距離（メートル）を取得
+    getDuplicateDistance() {
+        return this.duplicateDistance;
+    }
+
+    // 読み込んだファイルの認識できなかった列を取得
+    getExtraColumns() {
+        return [...this.extraColumns];
+    }
+
+    // シート選択処理を設定
+    // resolver(sheetNames) → Promise<{mode: 'single', sheetName}|{mode: 'all'}|null（キャンセル）>
+    setSheetSelectionResolver(resolver) {
+        this.sheetSelectionResolver = resolver;
+    }
+
+    // 列割り当て処理を設定
+    // resolver(headerRow, previewRows, detectedIndexes) → Promise<列インデックス|null（キャンセル）>
+    setColumnMappingResolver(resolver) {
+        this.columnMappingResolver = resolver;
+    }
+
+    // ファイル形式を判定して読み込み、現在のポイントを置き換える（Excel, GeoJSON, GPX, KML/KMZ, CSV/TSV）
+    async loadFile(file) {
+        this.gpsPoints = await this.readPointsFromFile(file);
+        this.extraColumns = [...this.importedExtraColumns];
+        return this.gpsPoints.length;
+    }
+
+    // ファイル形式を判定してポイント配列を読み込む（現在のポイントは変更しない）
+    async readPointsFromFile(file) {
+        if (!this.fileHandler) {
+            throw new Error('FileHandlerが設定されていません');
+        }
+
+        switch (this.fileHandler.getFileFormat(file)) {
+            case 'excel':
+                return await this.readExcelPoints(file);
+            case 'geojson':
+                return await this.importTableData(await this.fileHandler.loadRowsInBackground('geojson', file));
+            case 'gpx':
+                return await this.importTableData(await this.fileHandler.loadGPXFile(file));
+            case 'kml':
+                return await this.importTableData(await this.fileHandler.loadKMLFile(file));
+            case 'csv':
+                return await this.importTableData(await this.fileHandler.loadRowsInBackground('csv', file));
+            default:
+                throw new Error(CONFIG.MESSAGES.UNSUPPORTED_FILE_FORMAT);
+        }
     }
 
     // Excelファイルを読み込む
     async loadExcelFile(file) {
+        this.gpsPoints = await this.readExcelPoints(file);
+        this.extraColumns = [...this.importedExtraColumns];
+        return this.gpsPoints.length;
+    }
+
+    // Excelファイルからポイント配列を読み込む
+    // 複数シートの場合は選択したシートのみ、またはすべてのシートをグループ（シート名）として読み込む
+    async readExcelPoints(file) {
         if (!this.fileHandler) {
             throw new Error('FileHandlerが設定されていません');
         }
 
-        try {
-            const jsonData = await this.fileHandler.loadExcelFile(file);
-            this.parseExcelData(jsonData);
+        const sheets = await this.fileHandler.loadExcelSheets(file);
+        const sheetNames = sheets.map(sheet => sheet.name);
 
-            return this.gpsPoints.length;
-        } catch (error) {
-            throw error;
+        let selection = { mode: 'single', sheetName: sheetNames[0] };
+        if (sheetNames.length > 1 && this.sheetSelectionResolver) {
+            selection = await this.sheetSelectionResolver(sheetNames);
+            if (!selection) {
+                throw new Error(CONFIG.MESSAGES.SHEET_SELECTION_CANCELLED);
+            }
+        }
+
+        if (selection.mode === 'all') {
+            return await this.importSheets(sheets);
+        }
+
+        const selectedSheet = sheets.find(sheet => sheet.name === selection.sheetName);
+        if (!selectedSheet) {
+            throw new Error(`シート「${selection.sheetName}」が見つかりません`);
         }
+        return await this.importTableData(selectedSheet.rows);
     }
-    
 
-    // Excelデータを解析
-    parseExcelData(jsonData) {
-        this.gpsPoints = [];
+    // 行配列をポイント配列に変換（必須列を自動判定できない場合は列割り当て処理で確定してから解析）
+    async importTableData(jsonData) {
+        this.importIssues = [];
+        this.importedExtraColumns = [];
+        const columnIndexes = await this.resolveColumnIndexes(jsonData);
+        const points = this.parsePointRows(jsonData, columnIndexes);
+        this.resolveDuplicateIds(points);
+        this.reportNearbyImportedPoints(points);
+        return points;
+    }
 
+    // 複数シートの行配列をポイント配列に変換（各ポイントに読み込み元シート名をグループとして設定）
+    // データ行の無いシートはスキップする
+    async importSheets(sheets) {
+        const points = [];
+        this.importIssues = [];
+        this.importedExtraColumns = [];
+
+        for (const sheet of sheets) {
+            if (sheet.rows.length < 2) {
+                continue;
+            }
+            const columnIndexes = await this.resolveColumnIndexes(sheet.rows);
+            points.push(...this.parsePointRows(sheet.rows, columnIndexes, sheet.name));
+        }
+
+        this.resolveDuplicateIds(points);
+        this.reportNearbyImportedPoints(points);
+        return points;
+    }
+
+    // ヘッダー行から列インデックスを特定（必須列が不足する場合は列割り当て処理を呼び出す）
+    async resolveColumnIndexes(jsonData) {
         if (jsonData.length < 2) {
-            return;
+            return null;
+        }
+
+        const headerRow = jsonData[0];
+        let columnIndexes = this.identifyColumns(headerRow);
+
+        if (this.getMissingColumns(columnIndexes).length > 0 && this.columnMappingResolver) {
+            const previewRows = jsonData.slice(1, 1 + CONFIG.COLUMN_MAPPING_PREVIEW_ROWS);
+            columnIndexes = await this.columnMappingResolver(headerRow, previewRows, columnIndexes);
+            if (!columnIndexes) {
+                throw new Error(CONFIG.MESSAGES.COLUMN_MAPPING_CANCELLED);
+            }
+        }
+
+        return columnIndexes;
+    }
+
+    // Excelデータを解析（columnIndexes省略時はヘッダー行から自動判定）
+    parseExcelData(jsonData, columnIndexes = null) {
+        this.importIssues = [];
+        this.importedExtraColumns = [];
+        this.gpsPoints = this.parsePointRows(jsonData, columnIndexes);
+        this.extraColumns = [...this.importedExtraColumns];
+    }
+
+    // 行配列をポイント配列に変換（groupは読み込み元シート名、単一シート読み込み時は空文字）
+    parsePointRows(jsonData, columnIndexes = null, group = '') {
+        const points = [];
+
+        if (jsonData.length < 2) {
+            return points;
         }
 
         const headerRow = jsonData[0];
         
         // ヘッダー行から列のインデックスを特定
-        const columnIndexes = this.identifyColumns(headerRow);
+        if (!columnIndexes) {
+            columnIndexes = this.identifyColumns(headerRow);
+        }
         
         // 必須項目（ポイントID、名称、緯度、経度）がすべて存在するかチェック
-        const requiredColumns = ['id', 'location', 'lat', 'lng'];
-        const missingColumns = requiredColumns.filter(col => 
-            columnIndexes[col] === undefined || columnIndexes[col] === null
-        );
+        const missingColumns = this.getMissingColumns(columnIndexes);
         
         if (missingColumns.length > 0) {
-            const missingNames = missingColumns.map(col => {
-                switch(col) {
-                    case 'id': return 'ポイントID';
-                    case 'location': return '名称';
-                    case 'lat': return '緯度';
-                    case 'lng': return '経度';
-                    default: return col;
-                }
-            });
-            throw new Error(`必須項目が不足しています: ${missingNames.join(', ')}`);
+            const missingNames = missingColumns.map(col => CONFIG.COLUMN_HEADERS[col] || col);
+            const sheetLabel = group ? `（シート: ${group}）` : '';
+            throw new Error(`必須項目が不足しています${sheetLabel}: ${missingNames.join(', ')}`);
         }
+
+        // 認識できなかった列は元の並び順のまま各ポイントに保持する
+        const extraColumnIndexes = this.identifyExtraColumns(jsonData, columnIndexes, group);
+        extraColumnIndexes.forEach(({ name }) => {
+            if (!this.importedExtraColumns.includes(name)) {
+                this.importedExtraColumns.push(name);
+            }
+        });
         
-        // 2行目以降をデータとして処理
+        // 2行目以降をデータとして処理（行番号はヘッダー行を1行目とするシート上の行番号）
         for (let i = 1; i < jsonData.length; i++) {
             const row = jsonData[i];
+            const rowNumber = i + 1;
             
             // 行に十分なデータがあるかチェック
             if (row.length === 0 || DataUtils.isEmptyRow(row)) {
@@ -72,75 +238,256 @@ export class GPSDataManager {
             const locationValue = DataUtils.getCellValue(row, columnIndexes.location);
             const latValue = DataUtils.getCellValue(row, columnIndexes.lat);
             const lngValue = DataUtils.getCellValue(row, columnIndexes.lng);
+            const addIssue = (level, reason) => {
+                this.importIssues.push({ sheet: group, row: rowNumber, id: idValue, level, reason });
+            };
             
             // 必須項目が空でないかチェック
-            if (!idValue || !locationValue || !latValue || !lngValue) {
-                continue; // 必須項目が欠けている行はスキップ
+            const emptyFields = ['id', 'location', 'lat', 'lng'].filter((field, index) =>
+                ![idValue, locationValue, latValue, lngValue][index]
+            );
+            if (emptyFields.length > 0) {
+                // 必須項目が欠けている行はスキップ
+                addIssue('skipped', `必須項目が空です: ${emptyFields.map(f => CONFIG.COLUMN_HEADERS[f]).join(', ')}`);
+                continue;
             }
             
-            const lat = DataUtils.parseLatLng(latValue);
-            const lng = DataUtils.parseLatLng(lngValue);
+            // 緯度・経度を解析（10進数・度分秒・方位付き等、入れ替わりは後で修正するため軸は判定しない）
+            const latResult = DataUtils.parseCoordinate(latValue);
+            const lngResult = DataUtils.parseCoordinate(lngValue);
             
             // 緯度・経度が有効な数値かチェック
-            if (isNaN(lat) || isNaN(lng)) {
-                continue; // 無効な座標の行はスキップ
+            const failedResult = [latResult, lngResult].find(result => 'error' in result);
+            if (failedResult) {
+                // 無効な座標の行はスキップ
+                addIssue('skipped', `座標として解釈できません（${failedResult.error}）: 緯度=${latValue}, 経度=${lngValue}`);
+                continue;
+            }
+            let lat = latResult.value;
+            let lng = lngResult.value;
+
+            // 緯度・経度の入れ替わりは修正し、範囲外・日本国外の座標は報告
+            const coordinateCheck = this.checkCoordinates(lat, lng);
+            if (coordinateCheck.level) {
+                addIssue(coordinateCheck.level, coordinateCheck.reason);
+            }
+            if (coordinateCheck.level === 'skipped') {
+                continue;
+            }
+            lat = coordinateCheck.lat;
+            lng = coordinateCheck.lng;
+
+            const elevationValue = DataUtils.getCellValue(row, columnIndexes.elevation);
+            if (elevationValue !== '' && isNaN(parseFloat(elevationValue))) {
+                addIssue('warning', `標高が数値ではありません: ${elevationValue}`);
             }
             
             const point = {
                 id: idValue,
                 lat: lat,
                 lng: lng,
-                elevation: DataUtils.normalizeElevation(DataUtils.getCellValue(row, columnIndexes.elevation)),
+                elevation: DataUtils.normalizeElevation(elevationValue),
                 location: locationValue,
-                remarks: DataUtils.getCellValue(row, columnIndexes.remarks) || ''
+                remarks: DataUtils.getCellValue(row, columnIndexes.remarks) || '',
+                group: group,
+                extra: {}
             };
 
-            this.gpsPoints.push(point);
+            extraColumnIndexes.forEach(({ name, index }) => {
+                const value = row[index];
+                point.extra[name] = value !== undefined && value !== null ? value : '';
+            });
+
+            points.push(point);
+            this.importRowNumbers.set(point, rowNumber);
         }
+
+        return points;
     }
 
-    // ヘッダー行から各列のインデックスを特定（完全一致）
-    identifyColumns(headerRow) {
-        const indexes = {};
-        
-        for (let i = 0; i < headerRow.length; i++) {
-            const header = String(headerRow[i]).trim();
-            
-            // 完全一致判定
-            if (header === 'ポイントID') {
-                indexes.id = i;
+    // 認識できなかった列の列名と位置を取得
+    // 列名のない列（データのあるもののみ）は「列N」（Nは列の番号）、同じ列名の列・出力時の標準列と同じ列名の列は
+    // 「列名 (2)」のように一意の名前を付け、読み込みレポートに記録
+    identifyExtraColumns(jsonData, columnIndexes, group) {
+        const headerRow = jsonData[0];
+        const knownIndexes = new Set(Object.values(columnIndexes));
+        const columnCount = jsonData.reduce((count, row) => Math.max(count, row.length), 0);
+        const extraColumnIndexes = [];
+        const usedNames = new Set(Object.values(CONFIG.COLUMN_HEADERS));
+        const addIssue = reason => {
+            this.importIssues.push({ sheet: group, row: 1, id: '', level: 'corrected', reason });
+        };
+
+        // 空の要素（読み込み時の疎な配列）も含めるため、列の番号で順に処理
+        for (let index = 0; index < columnCount; index++) {
+            if (knownIndexes.has(index)) continue;
+
+            const header = headerRow[index];
+            const headerName = header === undefined || header === null ? '' : String(header).trim();
+            if (headerName === '' && jsonData.every((row, i) => i === 0 || DataUtils.getCellValue(row, index) === '')) {
+                continue;
             }
-            else if (header === '名称') {
-                indexes.location = i;
+
+            const baseName = headerName || `列${index + 1}`;
+            let name = baseName;
+            for (let suffix = 2; usedNames.has(name); suffix++) {
+                name = `${baseName} (${suffix})`;
             }
-            else if (header === '緯度') {
-                indexes.lat = i;
+            usedNames.add(name);
+            extraColumnIndexes.push({ name, index });
+
+            if (headerName === '') {
+                addIssue(`列名のない${index + 1}列目を「${name}」として読み込みました`);
+            } else if (name !== headerName) {
+                addIssue(`列名「${headerName}」が重複しているため、${index + 1}列目を「${name}」として読み込みました`);
             }
-            else if (header === '経度') {
-                indexes.lng = i;
+        }
+        return extraColumnIndexes;
+    }
+
+    // 読み込んだポイント内で重複するIDを空いているIDに変更し、読み込みレポートに記録
+    // （最初に出現した行のIDはそのまま残す）
+    resolveDuplicateIds(points) {
+        const allIds = new Set(points.map(point => point.id));
+        const seenIds = new Set();
+
+        points.forEach(point => {
+            if (seenIds.has(point.id)) {
+                const newId = this.suggestUniqueId(point.id, allIds);
+                this.importIssues.push({
+                    sheet: point.group,
+                    row: this.importRowNumbers.get(point),
+                    id: point.id,
+                    level: 'corrected',
+                    reason: `ポイントID「${point.id}」が重複しているため「${newId}」に変更しました`
+                });
+                allIds.add(newId);
+                point.id = newId;
             }
-            else if (header === '標高') {
-                indexes.elevation = i;
+            seenIds.add(point.id);
+        });
+    }
+
+    // 読み込んだポイントのうち、既存のポイントまたは先の行のポイントから重複判定距離内にあるものを読み込みレポートに警告として記録
+    // （IDの重複と異なり自動では修正せず、読み込み後に近接ポイント一覧で統合する）
+    reportNearbyImportedPoints(points, existingPoints = []) {
+        // IDが重複している場合があるため、登録順の番号で空間インデックスに登録
+        const index = new SpatialIndex(CONFIG.SPATIAL_INDEX_CELL_SIZE);
+        const indexedPoints = [];
+        const addToIndex = point => {
+            index.insert(String(indexedPoints.length), point.lat, point.lng);
+            indexedPoints.push(point);
+        };
+        existingPoints.forEach(addToIndex);
+
+        points.forEach(point => {
+            const [nearest] = index.searchWithinDistance(point.lat, point.lng, this.duplicateDistance);
+            if (nearest) {
+                this.importIssues.push({
+                    sheet: point.group,
+                    row: this.importRowNumbers.get(point),
+                    id: point.id,
+                    level: 'warning',
+                    reason: `ポイント「${indexedPoints[nearest.id].id}」から${nearest.distance.toFixed(1)}mの位置にあります（重複の可能性）`
+                });
             }
-            else if (header === '備考') {
-                indexes.remarks = i;
+            addToIndex(point);
+        });
+    }
+
+    // 座標の妥当性をチェック
+    // 緯度・経度が入れ替わっていれば修正、有効範囲外はスキップ、日本の範囲外は警告
+    // @returns {{lat: number, lng: number, level?: string, reason?: string}}
+    checkCoordinates(lat, lng) {
+        const bounds = CONFIG.JAPAN_BOUNDS;
+        const isInJapan = (la, ln) =>
+            la >= bounds.minLat && la <= bounds.maxLat && ln >= bounds.minLng && ln <= bounds.maxLng;
+
+        if (!isInJapan(lat, lng) && isInJapan(lng, lat)) {
+            return {
+                lat: lng,
+                lng: lat,
+                level: 'corrected',
+                reason: `緯度と経度が入れ替わっていたため修正しました: 緯度=${lat}, 経度=${lng}`
+            };
+        }
+
+        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return { lat, lng, level: 'skipped', reason: `座標が有効範囲外です: 緯度=${lat}, 経度=${lng}` };
+        }
+
+        if (!isInJapan(lat, lng)) {
+            return { lat, lng, level: 'warning', reason: `座標が日本の範囲外です: 緯度=${lat}, 経度=${lng}` };
+        }
+
+        return { lat, lng };
+    }
+
+    // 直近の読み込みでスキップ・修正・警告した行を取得
+    getImportIssues() {
+        return [...this.importIssues];
+    }
+
+    // 読み込みレポートをExcelファイルとして出力
+    async exportImportReport(filename) {
+        if (!this.fileHandler) {
+            throw new Error('FileHandlerが設定されていません');
+        }
+
+        const data = [['シート', '行', 'ポイントID', '区分', '内容']];
+        this.importIssues.forEach(issue => {
+            data.push([
+                issue.sheet,
+                issue.row,
+                issue.id,
+                CONFIG.IMPORT_ISSUE_LABELS[issue.level] || issue.level,
+                issue.reason
+            ]);
+        });
+
+        return await this.fileHandler.saveExcelSheetsWithUserChoice([{ name: '読み込みレポート', data: data }], filename);
+    }
+
+    // ヘッダー行から各列のインデックスを特定（同義語による判定）
+    // 項目ごとに同義語の優先順で照合し、割り当て済みの列は他の項目に使わない
+    identifyColumns(headerRow) {
+        const indexes = {};
+        const normalizedHeaders = headerRow.map(header => DataUtils.normalizeHeader(header));
+        const assigned = new Set();
+
+        for (const [field, synonyms] of Object.entries(CONFIG.COLUMN_SYNONYMS)) {
+            for (const synonym of synonyms) {
+                const target = DataUtils.normalizeHeader(synonym);
+                const index = normalizedHeaders.findIndex((header, i) => header === target && !assigned.has(i));
+                if (index !== -1) {
+                    indexes[field] = index;
+                    assigned.add(index);
+                    break;
+                }
             }
         }
         
         return indexes;
     }
 
-
+    // 列インデックスに含まれない必須項目を取得
+    getMissingColumns(columnIndexes) {
+        return CONFIG.REQUIRED_COLUMNS.filter(col =>
+            columnIndexes[col] === undefined || columnIndexes[col] === null
+        );
+    }
 
     // ポイントを追加
-    addPoint(lat, lng, id = null, elevation = '', location = '', remarks = '') {
+    addPoint(lat, lng, id = null, elevation = '', location = '', remarks = '', group = '') {
         const point = {
-            id: id || this.generateTemporaryId(),
+            id: id || this.generateNewPointId(),
             lat: lat,
             lng: lng,
             elevation: DataUtils.normalizeElevation(elevation),
             location: location,
-            remarks: remarks
+            remarks: remarks,
+            group: group,
+            extra: {}
         };
         
         this.gpsPoints.push(point);
@@ -173,6 +520,71 @@ export class GPSDataManager {
         return point.elevation;
     }
     
+    // 新しいポイントのIDを生成
+    // 接頭辞が設定されている場合はその接頭辞の次の空き番号（例: MN-001, MN-002…）、未設定の場合は仮ID
+    generateNewPointId() {
+        if (!this.activePrefix) {
+            return this.generateTemporaryId();
+        }
+
+        const scheme = this.pointIdScheme;
+        const head = `${this.activePrefix}${scheme.separator}`;
+        const usedNumbers = new Set();
+        this.gpsPoints.forEach(point => {
+            const rest = point.id.startsWith(head) ? point.id.substring(head.length) : '';
+            if (/^\d+$/.test(rest)) {
+                usedNumbers.add(parseInt(rest, 10));
+            }
+        });
+
+        let nextNum = 1;
+        while (usedNumbers.has(nextNum)) {
+            nextNum++;
+        }
+        return this.formatSequentialId(this.activePrefix, nextNum);
+    }
+
+    // 接頭辞と番号からID体系の形式のIDを作成（例: "MN", 1 → "MN-001"）
+    formatSequentialId(prefix, number) {
+        const scheme = this.pointIdScheme;
+        return `${prefix}${scheme.separator}${String(number).padStart(scheme.digits, '0')}`;
+    }
+
+    /**
+     * ID振り直しのプレビューを作成
+     * 並び順に接頭辞の連番を割り当てる（対象外のポイントが使用しているIDの番号は飛ばす）
+     * @param {{pointIds: Array<string>|null, prefix: string, startNumber: number, order: string, startPointId: string, path: Array}} options
+     *        対象のポイントID（nullの場合はすべて）、接頭辞、開始番号、並び順（PointOrder.sortを参照）、開始ポイント、経路
+     * @returns {Array<{point: Object, newId: string}>} 並び順の対象ポイントと変更後のID
+     */
+    buildRenumberPreview({ pointIds, prefix, startNumber, order, startPointId, path }) {
+        prefix = DataUtils.convertFullWidthToHalfWidth(prefix).replace(/[\s　]/g, '');
+        if (!DataUtils.isValidPointIdPrefix(prefix, this.pointIdScheme)) {
+            throw new Error(`接頭辞「${prefix}」はID体系に合いません（例: ${DataUtils.getPointIdExample(this.pointIdScheme)}）`);
+        }
+        if (!Number.isInteger(startNumber) || startNumber < 0) {
+            throw new Error('開始番号には0以上の整数を入力してください');
+        }
+
+        const targetIds = pointIds ? new Set(pointIds) : null;
+        const targets = targetIds ? this.gpsPoints.filter(point => targetIds.has(point.id)) : this.gpsPoints;
+        const otherIds = new Set(targetIds ? this.gpsPoints.filter(point => !targetIds.has(point.id)).map(point => point.id) : []);
+
+        let number = startNumber;
+        return PointOrder.sort(targets, order, { startPointId, path }).map(point => {
+            let newId = this.formatSequentialId(prefix, number++);
+            while (otherIds.has(newId)) {
+                newId = this.formatSequentialId(prefix, number++);
+            }
+            return { point, newId };
+        });
+    }
+
+    // 仮IDかどうか（新規追加直後でID未確定のポイント）
+    isTemporaryId(id) {
+        return /^仮\d{2}$/.test(id);
+    }
+
     // 仮IDを生成（仮01から始まる連番）
     generateTemporaryId() {
         const existingTempIds = this.gpsPoints
@@ -208,6 +620,36 @@ export class GPSDataManager {
         return null;
     }
 
+    // 複数のポイントを順に更新（IDの検索を1回にまとめる、一括でのIDの変更・元に戻す用）
+    // changes: [{id, values}, ...]、前の変更で変えたIDを後の変更で指定できる（同じIDのポイントが複数ある場合は先頭から）
+    // 戻り値は変更ごとの更新後のポイント（見つからない場合はnull）
+    updatePoints(changes) {
+        const pointsById = new Map(); // ID -> 同じIDのポイント（並び順）
+        const addToMap = point => {
+            if (!pointsById.has(point.id)) {
+                pointsById.set(point.id, []);
+            }
+            pointsById.get(point.id).push(point);
+        };
+        this.gpsPoints.forEach(addToMap);
+
+        return changes.map(({ id, values }) => {
+            const samePoints = pointsById.get(id);
+            if (!samePoints || samePoints.length === 0) return null;
+
+            const point = samePoints[0];
+            if ('elevation' in values) {
+                values.elevation = DataUtils.normalizeElevation(values.elevation);
+            }
+            Object.assign(point, values);
+            if (point.id !== id) {
+                samePoints.shift();
+                addToMap(point);
+            }
+            return point;
+        });
+    }
+
     // ポイントを削除
     removePoint(pointId) {
         const index = this.gpsPoints.findIndex(p => p.id === pointId);
@@ -218,6 +660,21 @@ export class GPSDataManager {
         return null;
     }
 
+    // 削除したポイントを元の位置に戻す（元に戻す・やり直し用、indexを省略した場合は末尾）
+    insertPoint(point, index = null) {
+        if (index === null || index < 0 || index > this.gpsPoints.length) {
+            this.gpsPoints.push(point);
+        } else {
+            this.gpsPoints.splice(index, 0, point);
+        }
+        return point;
+    }
+
+    // ポイントの並び順の位置を取得（見つからない場合は-1）
+    getPointIndex(pointId) {
+        return this.gpsPoints.findIndex(p => p.id === pointId);
+    }
+
     // すべてのポイントを取得
     getAllPoints() {
         return [...this.gpsPoints];
@@ -233,39 +690,533 @@ export class GPSDataManager {
         return this.gpsPoints.find(p => p.id === id);
     }
 
-    // Excelファイルとして出力
+    /**
+     * ポイントIDと名称の部分一致でポイントを検索（全角・半角、英字の大文字・小文字は区別しない）
+     * IDの完全一致、IDの前方一致、名称の前方一致、IDの部分一致、名称の部分一致の順に並べる
+     * @param {string} keyword - 検索する文字列
+     * @param {number} limit - 取得する最大件数
+     * @returns {Array<{point: Object, field: string}>} 一致したポイントと一致した項目（'id' | 'location'）
+     */
+    searchPoints(keyword, limit) {
+        const normalize = value => DataUtils.convertFullWidthToHalfWidth(String(value || '')).toUpperCase();
+        const key = normalize(keyword.trim());
+        if (key === '') return [];
+
+        const ranked = [];
+        this.gpsPoints.forEach(point => {
+            const id = normalize(point.id);
+            const location = normalize(point.location);
+            let rank = -1;
+            if (id === key) rank = 0;
+            else if (id.startsWith(key)) rank = 1;
+            else if (location.startsWith(key)) rank = 2;
+            else if (id.includes(key)) rank = 3;
+            else if (location.includes(key)) rank = 4;
+            if (rank >= 0) {
+                ranked.push({ point, field: rank === 2 || rank === 4 ? 'location' : 'id', rank });
+            }
+        });
+
+        // 同じ順位の中ではポイントの並び順（Array.prototype.sortは安定）
+        return ranked
+            .sort((a, b) => a.rank - b.rank)
+            .slice(0, limit)
+            .map(({ point, field }) => ({ point, field }));
+    }
+
+    // 複数のIDのポイントをまとめて取得（並び順は現在のポイントの順）
+    getPointsByIds(ids) {
+        const idSet = new Set(ids);
+        return this.gpsPoints.filter(p => idSet.has(p.id));
+    }
+
+    // 読み込んだポイントを現在のポイントと照合し、結合内容のプレビューを作成
+    // added: 新しいID、changed: 既存IDで内容が異なる、unchanged: 既存IDで内容が同じ
+    buildMergePreview(incomingPoints) {
+        const preview = { added: [], changed: [], unchanged: [] };
+        const currentPoints = new Map(this.gpsPoints.map(point => [point.id, point]));
+
+        incomingPoints.forEach(incoming => {
+            const current = currentPoints.get(incoming.id);
+            if (!current) {
+                preview.added.push(incoming);
+                return;
+            }
+
+            const changes = this.getPointDifferences(current, incoming);
+            if (changes.length > 0) {
+                preview.changed.push({ current, incoming, changes });
+            } else {
+                preview.unchanged.push(incoming);
+            }
+        });
+
+        // 新しいIDのポイントは既存のポイントと位置が重複していないかを読み込みレポートに記録
+        this.reportNearbyImportedPoints(preview.added, this.gpsPoints);
+        return preview;
+    }
+
+    // 2つのポイントの相違項目を取得（座標は出力精度の小数点以下5桁で比較）
+    // @returns {Array<{field: string, before: string, after: string}>}
+    getPointDifferences(current, incoming) {
+        const differences = [];
+
+        ['location', 'lat', 'lng', 'elevation', 'remarks'].forEach(field => {
+            let before = current[field];
+            let after = incoming[field];
+            if (field === 'lat' || field === 'lng') {
+                before = before.toFixed(5);
+                after = after.toFixed(5);
+            }
+            before = before === undefined || before === null ? '' : String(before);
+            after = after === undefined || after === null ? '' : String(after);
+
+            if (before !== after) {
+                differences.push({ field, before, after });
+            }
+        });
+
+        return differences;
+    }
+
+    // 結合プレビューを適用
+    // policy: 'update'（既存を上書き）| 'skip'（既存を維持）| 'keepBoth'（新しいIDで追加）
+    // 内容が同じポイントはどの方針でも変更しない
+    applyMerge(preview, policy) {
+        const result = { added: 0, updated: 0, skipped: 0 };
+
+        // 読み込んだファイルの認識できなかった列を出力対象に追加
+        this.importedExtraColumns.forEach(column => {
+            if (!this.extraColumns.includes(column)) {
+                this.extraColumns.push(column);
+            }
+        });
+
+        const existingIds = new Set(this.gpsPoints.map(point => point.id));
+
+        preview.added.forEach(point => {
+            // 読み込んだファイル内でIDが重複している場合は後の行を新しいIDで追加
+            if (existingIds.has(point.id)) {
+                point.id = this.generateUniqueId(point.id, existingIds);
+            }
+            existingIds.add(point.id);
+            this.gpsPoints.push(point);
+            result.added++;
+        });
+
+        preview.changed.forEach(({ current, incoming }) => {
+            switch (policy) {
+                case 'update':
+                    this.updatePoint(current.id, {
+                        location: incoming.location,
+                        lat: incoming.lat,
+                        lng: incoming.lng,
+                        elevation: incoming.elevation,
+                        remarks: incoming.remarks,
+                        extra: { ...current.extra, ...incoming.extra }
+                    });
+                    result.updated++;
+                    break;
+                case 'keepBoth': {
+                    const id = this.generateUniqueId(incoming.id, existingIds);
+                    existingIds.add(id);
+                    this.gpsPoints.push({ ...incoming, id });
+                    result.added++;
+                    break;
+                }
+                case 'skip':
+                default:
+                    result.skipped++;
+                    break;
+            }
+        });
+
+        result.skipped += preview.unchanged.length;
+        return result;
+    }
+
+    // 既存IDと重複しない候補IDを提案
+    // 末尾が数字の場合は桁数を保って次の空き番号（A-01 → A-02）、それ以外は「_2」「_3」…を付加
+    suggestUniqueId(baseId, existingIds = null) {
+        const ids = existingIds || new Set(this.gpsPoints.map(p => p.id));
+        const match = String(baseId).match(/^(.*?)(\d+)$/);
+        if (!match) {
+            return this.generateUniqueId(baseId, ids);
+        }
+
+        const [, prefix, digits] = match;
+        let number = parseInt(digits, 10);
+        let candidate;
+        do {
+            number++;
+            candidate = `${prefix}${String(number).padStart(digits.length, '0')}`;
+        } while (ids.has(candidate));
+        return candidate;
+    }
+
+    // 重複するポイントIDの一覧を取得（全角・半角、大文字・小文字、空白の違いのみのIDも重複とみなす）
+    // 各グループの先頭のポイントはIDを維持し、それ以外には空いているIDを提案する
+    // @returns {Array<{key: string, entries: Array<{point: Object, suggestedId: string|null}>}>}
+    findDuplicateIdGroups() {
+        const groups = new Map();
+        this.gpsPoints.forEach(point => {
+            const key = DataUtils.normalizePointIdKey(point.id);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(point);
+        });
+
+        const ids = new Set(this.gpsPoints.map(p => p.id));
+        const result = [];
+        groups.forEach((points, key) => {
+            if (points.length < 2) return;
+
+            const entries = points.map((point, index) => {
+                if (index === 0) {
+                    return { point, suggestedId: null };
+                }
+                const suggestedId = this.suggestUniqueId(points[0].id, ids);
+                ids.add(suggestedId);
+                return { point, suggestedId };
+            });
+            result.push({ key, entries });
+        });
+
+        return result;
+    }
+
+    // 指定距離内で連なるポイントの組（近接ポイント）を取得
+    // 距離内のポイント同士を順につなぐため、組の両端のポイントは指定距離より離れている場合がある
+    // @returns {Array<Array<Object>>} 2件以上のポイントの組（組の並び、組内のポイントとも一覧の順）
+    findNearDuplicateClusters(distance = this.duplicateDistance) {
+        // IDが重複している場合があるため、一覧の位置で空間インデックスに登録
+        const index = new SpatialIndex(CONFIG.SPATIAL_INDEX_CELL_SIZE);
+        this.gpsPoints.forEach((point, i) => index.insert(String(i), point.lat, point.lng));
+
+        // 距離内のポイント同士を同じ組にまとめる（組の代表は一覧で最初のポイント）
+        const parents = this.gpsPoints.map((_, i) => i);
+        const findRoot = i => {
+            while (parents[i] !== i) {
+                parents[i] = parents[parents[i]];
+                i = parents[i];
+            }
+            return i;
+        };
+        this.gpsPoints.forEach((point, i) => {
+            index.searchWithinDistance(point.lat, point.lng, distance).forEach(({ id }) => {
+                const rootA = findRoot(i);
+                const rootB = findRoot(Number(id));
+                if (rootA !== rootB) {
+                    parents[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+                }
+            });
+        });
+
+        const clusters = new Map();
+        this.gpsPoints.forEach((point, i) => {
+            const root = findRoot(i);
+            if (!clusters.has(root)) {
+                clusters.set(root, []);
+            }
+            clusters.get(root).push(point);
+        });
+        return [...clusters.values()].filter(points => points.length > 1);
+    }
+
+    // 既存IDと重複しないIDを生成（元のIDに「_2」「_3」…を付加）
+    // existingIdsを指定した場合はその集合で重複を判定（大量のポイントを結合する場合の高速化）
+    generateUniqueId(baseId, existingIds = null) {
+        const exists = id => existingIds ? existingIds.has(id) : Boolean(this.getPointById(id));
+        let suffix = 2;
+        while (exists(`${baseId}_${suffix}`)) {
+            suffix++;
+        }
+        return `${baseId}_${suffix}`;
+    }
+
+    // 指定形式でファイル出力
+    // （'excel' | 'geojson' | 'gpx' | 'kml' | 'kmz' | 'csv-utf8' | 'csv-sjis' | 'tsv-utf8' | 'tsv-sjis'）
+    async exportToFile(format, filename = 'gps_points') {
+        switch (format) {
+            case 'csv-utf8':
+                return await this.exportToCSV(filename, { delimiter: ',', encoding: 'utf-8' });
+            case 'csv-sjis':
+                return await this.exportToCSV(filename, { delimiter: ',', encoding: 'shift_jis' });
+            case 'tsv-utf8':
+                return await this.exportToCSV(filename, { delimiter: '\t', encoding: 'utf-8' });
+            case 'tsv-sjis':
+                return await this.exportToCSV(filename, { delimiter: '\t', encoding: 'shift_jis' });
+            case 'kml':
+                return await this.exportToKML(filename);
+            case 'kmz':
+                return await this.exportToKMZ(filename);
+            case 'geojson':
+                return await this.exportToGeoJSON(filename);
+            case 'gpx':
+                return await this.exportToGPX(filename);
+            case 'excel':
+            default:
+                return await this.exportToExcel(filename);
+        }
+    }
+
+    // Excelファイルとして出力（グループがある場合はグループごとに別シートへ出力）
     async exportToExcel(filename = 'gps_points') {
         if (!this.fileHandler) {
             throw new Error('FileHandlerが設定されていません');
         }
-        
-        const data = [
-            ['ポイントID', '名称', '緯度', '経度', '標高', '備考'] // ヘッダー
-        ];
 
+        const groups = this.getGroups();
+        if (groups.length === 0 || (groups.length === 1 && groups[0] === '')) {
+            return await this.fileHandler.saveExcelWithUserChoice(this.buildTableRows(), filename);
+        }
+
+        // グループなしのポイントは既定のシートに出力
+        const sheets = new Map();
+        groups.forEach(group => {
+            const sheetName = group || CONFIG.DEFAULT_SHEET_NAME;
+            const points = this.gpsPoints.filter(p => (p.group || '') === group);
+            const existing = sheets.get(sheetName) || [];
+            sheets.set(sheetName, existing.concat(points));
+        });
+
+        const sheetData = Array.from(sheets, ([name, points]) => ({
+            name: name,
+            data: this.buildTableRows(points)
+        }));
+
+        return await this.fileHandler.saveExcelSheetsWithUserChoice(sheetData, filename);
+    }
+
+    // グループ（読み込み元シート名）の一覧を出現順に取得（グループなしは空文字）
+    getGroups() {
+        const groups = [];
         this.gpsPoints.forEach(point => {
-            // 標高を数値に変換（空文字の場合は空文字のまま）
-            let elevationValue = '';
-            if (point.elevation && point.elevation !== '') {
-                const numValue = parseFloat(point.elevation);
-                if (!isNaN(numValue)) {
-                    elevationValue = numValue; // 数値として出力
-                } else {
-                    elevationValue = point.elevation; // 数値でない場合はそのまま
-                }
+            const group = point.group || '';
+            if (!groups.includes(group)) {
+                groups.push(group);
             }
+        });
+        return groups;
+    }
+
+    // CSV/TSVファイルとして出力（列構成はExcelと同じ）
+    async exportToCSV(filename = 'gps_points', options = {}) {
+        if (!this.fileHandler) {
+            throw new Error('FileHandlerが設定されていません');
+        }
+
+        return await this.fileHandler.saveCSVWithUserChoice(this.buildTableRows(), filename, options);
+    }
 
+    // 表形式（Excel, CSV）出力用の行配列を作成
+    // 読み込み時に認識できなかった列は標準列の後ろに元の並び順で出力（値の無いポイントは空欄）
+    buildTableRows(points = this.gpsPoints) {
+        const headers = CONFIG.COLUMN_HEADERS;
+        const data = [
+            [headers.id, headers.location, headers.lat, headers.lng, headers.elevation, headers.remarks, ...this.extraColumns] // ヘッダー
+        ];
+
+        points.forEach(point => {
             data.push([
                 point.id,
                 point.location,
                 parseFloat(point.lat.toFixed(5)), // 小数点以下5桁まで
                 parseFloat(point.lng.toFixed(5)), // 小数点以下5桁まで
-                elevationValue,
-                point.remarks
+                this.getElevationValue(point),
+                point.remarks,
+                ...this.getExtraValues(point)
             ]);
         });
 
-        return await this.fileHandler.saveExcelWithUserChoice(data, filename);
+        return data;
+    }
+
+    // GeoJSONファイルとして出力（座標順は [経度, 緯度, 標高]）
+    async exportToGeoJSON(filename = 'gps_points') {
+        if (!this.fileHandler) {
+            throw new Error('FileHandlerが設定されていません');
+        }
+
+        const headers = CONFIG.COLUMN_HEADERS;
+        const features = this.gpsPoints.map(point => {
+            const elevationValue = this.getElevationValue(point);
+
+            // 認識できなかった列はプロパティとして出力（標準の項目名と重複するものは除く）
+            const extraProperties = {};
+            const extraValues = this.getExtraValues(point);
+            this.extraColumns.forEach((column, i) => {
+                if (!Object.values(headers).includes(column)) {
+                    extraProperties[column] = extraValues[i];
+                }
+            });
+
+            const coordinates = [
+                parseFloat(point.lng.toFixed(5)), // 小数点以下5桁まで
+                parseFloat(point.lat.toFixed(5))
+            ];
+            if (typeof elevationValue === 'number') {
+                coordinates.push(elevationValue);
+            }
+
+            return {
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: coordinates
+                },
+                properties: {
+                    [headers.id]: point.id,
+                    [headers.location]: point.location,
+                    [headers.elevation]: elevationValue,
+                    [headers.remarks]: point.remarks || '',
+                    ...extraProperties
+                }
+            };
+        });
+
+        const geojson = {
+            type: 'FeatureCollection',
+            features: features
+        };
+
+        return await this.fileHandler.saveGeoJSONWithUserChoice(geojson, filename);
+    }
+
+    // GPX 1.1ファイルとして出力（全ポイントをウェイポイントとして出力）
+    // name←ポイントID、cmt←備考、desc←名称、ele←正規化済み標高
+    async exportToGPX(filename = 'gps_points') {
+        if (!this.fileHandler) {
+            throw new Error('FileHandlerが設定されていません');
+        }
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="PointGPS" xmlns="http://www.topografix.com/GPX/1/1">'
+        ];
+
+        this.gpsPoints.forEach(point => {
+            const elevationValue = this.getElevationValue(point);
+
+            lines.push(`  <wpt lat="${point.lat.toFixed(5)}" lon="${point.lng.toFixed(5)}">`);
+            // GPX 1.1スキーマの要素順（ele, name, cmt, desc）に従う
+            if (typeof elevationValue === 'number') {
+                lines.push(`    <ele>${elevationValue}</ele>`);
+            }
+            lines.push(`    <name>${DataUtils.escapeXml(point.id)}</name>`);
+            if (point.remarks) {
+                lines.push(`    <cmt>${DataUtils.escapeXml(point.remarks)}</cmt>`);
+            }
+            if (point.location) {
+                lines.push(`    <desc>${DataUtils.escapeXml(point.location)}</desc>`);
+            }
+            lines.push('  </wpt>');
+        });
+
+        lines.push('</gpx>');
+
+        return await this.fileHandler.saveGPXWithUserChoice(lines.join('\n') + '\n', filename);
+    }
+
+    // KMLファイルとして出力
+    async exportToKML(filename = 'gps_points') {
+        if (!this.fileHandler) {
+            throw new Error('FileHandlerが設定されていません');
+        }
+
+        return await this.fileHandler.saveKMLWithUserChoice(this.buildKML(filename), filename);
+    }
+
+    // KMZファイル（ZIP圧縮したKML）として出力
+    async exportToKMZ(filename = 'gps_points') {
+        if (!this.fileHandler) {
+            throw new Error('FileHandlerが設定されていません');
+        }
+
+        return await this.fileHandler.saveKMZWithUserChoice(this.buildKML(filename), filename);
+    }
+
+    // KML文字列を作成（name←ポイントID、description←名称/備考/標高、スタイルはマーカー色に合わせる）
+    // 読み込み時に元の値へ戻せるよう、各項目をExtendedDataにも出力する
+    buildKML(documentName) {
+        const headers = CONFIG.COLUMN_HEADERS;
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            `    <name>${DataUtils.escapeXml(documentName)}</name>`,
+            '    <Style id="pointStyle">',
+            '      <IconStyle>',
+            `        <color>${DataUtils.toKmlColor(CONFIG.POINT_MARKER_COLOR)}</color>`,
+            `        <scale>${CONFIG.KML_ICON_SCALE}</scale>`,
+            `        <Icon><href>${DataUtils.escapeXml(CONFIG.KML_ICON_URL)}</href></Icon>`,
+            '      </IconStyle>',
+            '    </Style>'
+        ];
+
+        this.gpsPoints.forEach(point => {
+            const elevationValue = this.getElevationValue(point);
+
+            // descriptionはHTMLとして表示されるため、値をエスケープした上で<br>で連結
+            const descriptionParts = [];
+            if (point.location) {
+                descriptionParts.push(`${headers.location}: ${DataUtils.escapeXml(point.location)}`);
+            }
+            if (point.remarks) {
+                descriptionParts.push(`${headers.remarks}: ${DataUtils.escapeXml(point.remarks)}`);
+            }
+            if (elevationValue !== '') {
+                descriptionParts.push(`${headers.elevation}: ${DataUtils.escapeXml(elevationValue)}m`);
+            }
+
+            const coordinates = [point.lng.toFixed(5), point.lat.toFixed(5)];
+            if (typeof elevationValue === 'number') {
+                coordinates.push(elevationValue);
+            }
+
+            lines.push('    <Placemark>');
+            lines.push(`      <name>${DataUtils.escapeXml(point.id)}</name>`);
+            lines.push(`      <description>${DataUtils.escapeXml(descriptionParts.join('<br>'))}</description>`);
+            lines.push('      <styleUrl>#pointStyle</styleUrl>');
+            lines.push('      <ExtendedData>');
+            [
+                [headers.location, point.location],
+                [headers.elevation, elevationValue],
+                [headers.remarks, point.remarks]
+            ].forEach(([name, value]) => {
+                lines.push(`        <Data name="${DataUtils.escapeXml(name)}"><value>${DataUtils.escapeXml(value)}</value></Data>`);
+            });
+            lines.push('      </ExtendedData>');
+            lines.push(`      <Point><coordinates>${coordinates.join(',')}</coordinates></Point>`);
+            lines.push('    </Placemark>');
+        });
+
+        lines.push('  </Document>');
+        lines.push('</kml>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    // 認識できなかった列の値を出力順に取得
+    getExtraValues(point) {
+        const extra = point.extra || {};
+        return this.extraColumns.map(column => {
+            const value = extra[column];
+            return value !== undefined && value !== null ? value : '';
+        });
+    }
+
+    // 出力用の標高値を取得（数値に変換、空文字の場合は空文字のまま）
+    getElevationValue(point) {
+        if (point.elevation && point.elevation !== '') {
+            const numValue = parseFloat(point.elevation);
+            if (!isNaN(numValue)) {
+                return numValue; // 数値として出力
+            }
+            return point.elevation; // 数値でない場合はそのまま
+        }
+        return '';
     }
 
 }
\ No newline at end of file
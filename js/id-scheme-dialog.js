@@ -0,0 +1,93 @@
+// ID体系設定ダイアログ管理クラス
+import { CONFIG } from './config.js';
+import { DataUtils } from './data-utils.js';
+
+export class IdSchemeDialog {
+    constructor() {
+        this.dialog = document.getElementById('idSchemeDialog');
+        this.prefixCharsSelect = document.getElementById('idSchemePrefixChars');
+        this.prefixMinField = document.getElementById('idSchemePrefixMinLength');
+        this.prefixMaxField = document.getElementById('idSchemePrefixMaxLength');
+        this.separatorField = document.getElementById('idSchemeSeparator');
+        this.digitsField = document.getElementById('idSchemeDigits');
+        this.example = document.getElementById('idSchemeExample');
+        this.okButton = document.getElementById('idSchemeOkBtn');
+
+        this.resolve = null; // 表示中のダイアログの結果を返す関数
+
+        Object.entries(CONFIG.POINT_ID_PREFIX_CHAR_OPTIONS).forEach(([chars, label]) => {
+            this.prefixCharsSelect.add(new Option(label, chars));
+        });
+
+        this.initEventHandlers();
+    }
+
+    // イベントハンドラーを初期化
+    initEventHandlers() {
+        this.okButton.addEventListener('click', () => {
+            this.close(this.getScheme());
+        });
+
+        document.getElementById('idSchemeCancelBtn').addEventListener('click', () => {
+            this.close(null);
+        });
+
+        [this.prefixCharsSelect, this.prefixMinField, this.prefixMaxField, this.separatorField, this.digitsField]
+            .forEach(field => {
+                field.addEventListener('input', () => this.updateExample());
+            });
+    }
+
+    /**
+     * ダイアログを表示し、設定されたID体系を返す
+     * @param {Object} scheme - 現在のID体系
+     * @returns {Promise<Object|null>} ID体系（キャンセル時はnull）
+     */
+    open(scheme) {
+        this.prefixCharsSelect.value = scheme.prefixChars;
+        this.prefixMinField.value = scheme.prefixMinLength;
+        this.prefixMaxField.value = scheme.prefixMaxLength;
+        this.separatorField.value = scheme.separator;
+        this.digitsField.value = scheme.digits;
+        this.updateExample();
+
+        this.dialog.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    // ダイアログを閉じて結果を返す
+    close(result) {
+        this.dialog.style.display = 'none';
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+
+    // 入力値からID体系を取得（不正な値の場合はnull）
+    getScheme() {
+        const scheme = {
+            prefixChars: this.prefixCharsSelect.value,
+            prefixMinLength: parseInt(this.prefixMinField.value, 10),
+            prefixMaxLength: parseInt(this.prefixMaxField.value, 10),
+            separator: this.separatorField.value,
+            digits: parseInt(this.digitsField.value, 10)
+        };
+
+        const isValid = scheme.prefixMinLength >= 1 && scheme.prefixMaxLength >= scheme.prefixMinLength &&
+            scheme.prefixMaxLength <= 10 && scheme.digits >= 1 && scheme.digits <= 6;
+        return isValid ? scheme : null;
+    }
+
+    // 入力値の例を表示（不正な値の場合は設定ボタンを無効化）
+    updateExample() {
+        const scheme = this.getScheme();
+        this.okButton.disabled = !scheme;
+        this.example.textContent = scheme
+            ? `例: ${DataUtils.getPointIdExample(scheme)}`
+            : '接頭辞の文字数（1～10、最小≦最大）と連番の桁数（1～6）を確認してください';
+    }
+}
@@ -0,0 +1,80 @@
+// 読み込みレポートダイアログ管理クラス
+import { CONFIG } from './config.js';
+
+export class ImportReportDialog {
+    /**
+     * @param {Function} onDownload - 「ダウンロード」ボタン押下時の処理
+     */
+    constructor(onDownload) {
+        this.dialog = document.getElementById('importReportDialog');
+        this.summary = document.getElementById('importReportSummary');
+        this.table = document.getElementById('importReportTable');
+        this.onDownload = onDownload;
+
+        this.initEventHandlers();
+    }
+
+    // イベントハンドラーを初期化
+    initEventHandlers() {
+        document.getElementById('importReportDownloadBtn').addEventListener('click', () => {
+            this.onDownload();
+        });
+
+        document.getElementById('importReportCloseBtn').addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    /**
+     * 読み込み結果のレポートを表示
+     * @param {Array} issues - スキップ・修正・警告した行
+     * @param {Array<string>} warnings - ファイル単位の警告（スキップした要素等）
+     * @param {number} pointCount - 読み込んだポイント数
+     */
+    open(issues, warnings, pointCount) {
+        this.renderSummary(issues, warnings, pointCount);
+        this.renderTable(issues);
+        this.dialog.style.display = 'flex';
+    }
+
+    // ダイアログを閉じる
+    close() {
+        this.dialog.style.display = 'none';
+    }
+
+    // 区分ごとの件数とファイル単位の警告を表示
+    renderSummary(issues, warnings, pointCount) {
+        const counts = Object.entries(CONFIG.IMPORT_ISSUE_LABELS)
+            .map(([level, label]) => `${label} ${issues.filter(issue => issue.level === level).length}件`);
+
+        const lines = [`${pointCount}個のポイントを読み込みました（${counts.join('、')}）`, ...warnings];
+        this.summary.textContent = lines.join('\n');
+    }
+
+    // 行ごとの内容を表に表示
+    renderTable(issues) {
+        this.table.innerHTML = '';
+
+        const headerTr = this.table.createTHead().insertRow();
+        ['シート', '行', 'ポイントID', '区分', '内容'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerTr.appendChild(th);
+        });
+
+        const tbody = this.table.createTBody();
+        issues.forEach(issue => {
+            const tr = tbody.insertRow();
+            tr.className = `import-issue-${issue.level}`;
+            [
+                issue.sheet,
+                issue.row,
+                issue.id,
+                CONFIG.IMPORT_ISSUE_LABELS[issue.level] || issue.level,
+                issue.reason
+            ].forEach(value => {
+                tr.insertCell().textContent = value;
+            });
+        });
+    }
+}
@@ -5,20 +5,29 @@ export class MapManager {
     constructor(mapElementId) {
         this.mapElementId = mapElementId;
         this.map = null;
+        this.pointRenderer = null;
+        this.baseLayers = new Map(); // 背景地図ID -> タイルレイヤー
+        this.overlayLayers = new Map(); // 重ねる地図ID -> タイルレイヤー
+        this.layerSettings = this.loadLayerSettings();
         this.init();
     }
 
     init() {
         // 地図初期化（デフォルトのコントロールを無効化）
+        // Shift+ドラッグはポイントの範囲選択に、矢印キー等はポイントの操作に使用するため、
+        // ボックスズームと標準のキーボード操作は無効化
         this.map = L.map(this.mapElementId, {
-            zoomControl: false
+            zoomControl: false,
+            boxZoom: false,
+            keyboard: false
         }).setView(CONFIG.MAP_CENTER, CONFIG.MAP_ZOOM);
+
+        // ポイントマーカーはCanvasに描画（数万件でもDOM要素を増やさない）
+        this.pointRenderer = L.canvas({ padding: 0.5 });
         
-        // 国土地理院タイルレイヤーを追加
-        L.tileLayer(CONFIG.GSI_TILE_URL, {
-            attribution: CONFIG.GSI_ATTRIBUTION,
-            maxZoom: 18
-        }).addTo(this.map);
+        // 国土地理院タイルレイヤー（背景地図・重ねる地図）を追加し、切り替え用のコントロールを右上に配置
+        this.initTileLayers();
+        this.createLayerControl().addTo(this.map);
         
         // スケールコントロールを右下に追加
         L.control.scale({
@@ -40,10 +49,173 @@ export class MapManager {
         console.log('地図を初期化しました');
     }
 
+    // 設定の背景地図・重ねる地図のタイルレイヤーを作成し、前回選択した地図を表示
+    initTileLayers() {
+        // 重ねる地図は背景地図を切り替えても上に表示されるよう、専用の区画に配置
+        this.map.createPane('overlayTilePane').style.zIndex = 250;
+
+        CONFIG.BASE_LAYERS.forEach(layer => {
+            this.baseLayers.set(layer.id, L.tileLayer(layer.url, {
+                attribution: CONFIG.GSI_ATTRIBUTION,
+                maxZoom: CONFIG.MAP_MAX_ZOOM,
+                maxNativeZoom: layer.maxNativeZoom
+            }));
+        });
+
+        CONFIG.OVERLAY_LAYERS.forEach(layer => {
+            const settings = this.layerSettings.overlays[layer.id];
+            this.overlayLayers.set(layer.id, L.tileLayer(layer.url, {
+                attribution: CONFIG.GSI_ATTRIBUTION,
+                maxZoom: CONFIG.MAP_MAX_ZOOM,
+                maxNativeZoom: layer.maxNativeZoom,
+                opacity: settings.opacity,
+                pane: 'overlayTilePane'
+            }));
+        });
+
+        this.baseLayers.get(this.layerSettings.baseLayerId).addTo(this.map);
+        this.overlayLayers.forEach((layer, id) => {
+            if (this.layerSettings.overlays[id].visible) {
+                layer.addTo(this.map);
+            }
+        });
+    }
+
+    // 地図の切り替えコントロールを作成（背景地図は択一、重ねる地図は表示と不透明度を指定）
+    createLayerControl() {
+        const control = L.control({ position: 'topright' });
+        control.onAdd = () => {
+            const container = L.DomUtil.create('div', 'map-layer-control leaflet-bar');
+            // コントロール上の操作で地図のクリック（ポイント追加）・ドラッグを発生させない
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            L.DomUtil.create('div', 'map-layer-heading', container).textContent = '背景地図';
+            CONFIG.BASE_LAYERS.forEach(layer => {
+                const label = L.DomUtil.create('label', 'map-layer-item', container);
+                const radio = L.DomUtil.create('input', '', label);
+                radio.type = 'radio';
+                radio.name = 'mapBaseLayer';
+                radio.checked = layer.id === this.layerSettings.baseLayerId;
+                radio.addEventListener('change', () => this.setBaseLayer(layer.id));
+                label.appendChild(document.createTextNode(layer.name));
+            });
+
+            if (CONFIG.OVERLAY_LAYERS.length > 0) {
+                L.DomUtil.create('div', 'map-layer-heading', container).textContent = '重ねる地図';
+            }
+            CONFIG.OVERLAY_LAYERS.forEach(layer => {
+                const settings = this.layerSettings.overlays[layer.id];
+                const label = L.DomUtil.create('label', 'map-layer-item', container);
+                const checkbox = L.DomUtil.create('input', '', label);
+                checkbox.type = 'checkbox';
+                checkbox.checked = settings.visible;
+                checkbox.addEventListener('change', () => this.setOverlayVisible(layer.id, checkbox.checked));
+                label.appendChild(document.createTextNode(layer.name));
+
+                const slider = L.DomUtil.create('input', 'map-layer-opacity', container);
+                slider.type = 'range';
+                slider.min = 0;
+                slider.max = 100;
+                slider.value = Math.round(settings.opacity * 100);
+                slider.title = `${layer.name}の不透明度`;
+                slider.setAttribute('aria-label', slider.title);
+                slider.addEventListener('input', () => this.setOverlayOpacity(layer.id, slider.value / 100));
+            });
+
+            return container;
+        };
+        return control;
+    }
+
+    // 背景地図を切り替え
+    setBaseLayer(layerId) {
+        const layer = this.baseLayers.get(layerId);
+        if (!layer) return;
+
+        this.baseLayers.forEach(baseLayer => this.map.removeLayer(baseLayer));
+        layer.addTo(this.map);
+        this.layerSettings.baseLayerId = layerId;
+        this.storeLayerSettings();
+    }
+
+    // 重ねる地図の表示・非表示を切り替え
+    setOverlayVisible(layerId, visible) {
+        const layer = this.overlayLayers.get(layerId);
+        if (!layer) return;
+
+        if (visible) {
+            layer.addTo(this.map);
+        } else {
+            this.map.removeLayer(layer);
+        }
+        this.layerSettings.overlays[layerId].visible = visible;
+        this.storeLayerSettings();
+    }
+
+    // 重ねる地図の不透明度（0〜1）を変更
+    setOverlayOpacity(layerId, opacity) {
+        const layer = this.overlayLayers.get(layerId);
+        if (!layer) return;
+
+        layer.setOpacity(opacity);
+        this.layerSettings.overlays[layerId].opacity = opacity;
+        this.storeLayerSettings();
+    }
+
+    // 表示中の地図（背景地図と表示中の重ねる地図）のIDを取得
+    getActiveLayerIds() {
+        const overlayIds = Object.keys(this.layerSettings.overlays)
+            .filter(id => this.layerSettings.overlays[id].visible);
+        return [this.layerSettings.baseLayerId, ...overlayIds];
+    }
+
+    // 前回選択した地図の設定を読み込む（設定に無い地図・保存後に削除された地図は初期値）
+    // @returns {{baseLayerId: string, overlays: Object<string, {visible: boolean, opacity: number}>}}
+    loadLayerSettings() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(CONFIG.MAP_LAYER_STORAGE_KEY));
+        } catch (error) {
+            console.warn('地図の設定の読み込みに失敗しました:', error);
+        }
+        stored = stored || {};
+        const storedOverlays = stored.overlays || {};
+
+        const overlays = {};
+        CONFIG.OVERLAY_LAYERS.forEach(layer => {
+            const overlay = storedOverlays[layer.id] || {};
+            overlays[layer.id] = {
+                visible: overlay.visible === true,
+                opacity: typeof overlay.opacity === 'number' ? overlay.opacity : layer.opacity
+            };
+        });
+
+        const isKnownBaseLayer = CONFIG.BASE_LAYERS.some(layer => layer.id === stored.baseLayerId);
+        return {
+            baseLayerId: isKnownBaseLayer ? stored.baseLayerId : CONFIG.BASE_LAYERS[0].id,
+            overlays: overlays
+        };
+    }
+
+    // 選択した地図の設定を保存
+    storeLayerSettings() {
+        try {
+            localStorage.setItem(CONFIG.MAP_LAYER_STORAGE_KEY, JSON.stringify(this.layerSettings));
+        } catch (error) {
+            console.warn('地図の設定の保存に失敗しました:', error);
+        }
+    }
+
     getMap() {
         return this.map;
     }
 
+    // ポイントマーカー用のCanvasレンダラーを取得
+    getPointRenderer() {
+        return this.pointRenderer;
+    }
+
     // 地図の中心を指定座標に移動
     setView(latlng, zoom = null) {
         if (zoom !== null) {
@@ -0,0 +1,80 @@
+// マーカーの凡例（地図の左下に表示し、分類ごとの表示・非表示を切り替え）
+import { getShapeVertices } from './shape-marker.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const SWATCH_SIZE = 16;
+
+export class MarkerLegend {
+    /**
+     * @param {L.Map} map - 地図
+     * @param {Function} onToggle - 分類の表示切替時の処理 onToggle(classIndex, visible)（classIndexは-1が「その他」）
+     */
+    constructor(map, onToggle) {
+        this.onToggle = onToggle;
+
+        const control = L.control({ position: 'bottomleft' });
+        control.onAdd = () => {
+            this.container = L.DomUtil.create('div', 'marker-legend leaflet-bar');
+            // 凡例上の操作で地図のクリック（ポイント追加）・ドラッグを発生させない
+            L.DomEvent.disableClickPropagation(this.container);
+            L.DomEvent.disableScrollPropagation(this.container);
+            this.container.style.display = 'none';
+            return this.container;
+        };
+        control.addTo(map);
+    }
+
+    /**
+     * 凡例を更新（entriesが空の場合は非表示）
+     * @param {string} title - 見出し（分類する項目名）
+     * @param {Array<{classIndex: number, label: string, style: Object, count: number, visible: boolean}>} entries - 分類ごとの表示
+     */
+    update(title, entries) {
+        this.container.innerHTML = '';
+        if (entries.length === 0) {
+            this.container.style.display = 'none';
+            return;
+        }
+
+        L.DomUtil.create('div', 'marker-legend-title', this.container).textContent = title;
+        entries.forEach(({ classIndex, label, style, count, visible }) => {
+            const item = L.DomUtil.create('label', 'marker-legend-item', this.container);
+            const checkbox = L.DomUtil.create('input', '', item);
+            checkbox.type = 'checkbox';
+            checkbox.checked = visible;
+            checkbox.addEventListener('change', () => this.onToggle(classIndex, checkbox.checked));
+
+            item.appendChild(this.createSwatch(style));
+            item.appendChild(document.createTextNode(`${label} (${count})`));
+        });
+        this.container.style.display = 'block';
+    }
+
+    // マーカーの形・色の見本を作成
+    createSwatch({ shape, color }) {
+        const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+        svg.setAttribute('width', SWATCH_SIZE);
+        svg.setAttribute('height', SWATCH_SIZE);
+        svg.setAttribute('aria-hidden', 'true');
+
+        const center = SWATCH_SIZE / 2;
+        const radius = center - 2;
+        const vertices = getShapeVertices(shape, center, center, radius);
+        let element;
+        if (vertices.length === 0) {
+            element = document.createElementNS(SVG_NAMESPACE, 'circle');
+            element.setAttribute('cx', center);
+            element.setAttribute('cy', center);
+            element.setAttribute('r', radius);
+        } else {
+            element = document.createElementNS(SVG_NAMESPACE, 'polygon');
+            element.setAttribute('points', vertices.map(([x, y]) => `${x},${y}`).join(' '));
+        }
+        element.setAttribute('fill', color);
+        element.setAttribute('fill-opacity', '0.6');
+        element.setAttribute('stroke', color);
+        element.setAttribute('stroke-width', '2');
+        svg.appendChild(element);
+        return svg;
+    }
+}
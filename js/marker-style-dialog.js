@@ -0,0 +1,162 @@
+// マーカーの表示ルール設定ダイアログ管理クラス
+import { CONFIG } from './config.js';
+import { MarkerStyle, MARKER_STYLE_FIELDS } from './marker-style.js';
+import { MARKER_SHAPES } from './shape-marker.js';
+
+export class MarkerStyleDialog {
+    /**
+     * @param {Function} buildClasses - 分類の自動作成処理 buildClasses(field) => Array<分類>
+     */
+    constructor(buildClasses) {
+        this.dialog = document.getElementById('markerStyleDialog');
+        this.fieldSelect = document.getElementById('markerStyleFieldSelect');
+        this.autoButton = document.getElementById('markerStyleAutoBtn');
+        this.addButton = document.getElementById('markerStyleAddBtn');
+        this.table = document.getElementById('markerStyleTable');
+        this.buildClasses = buildClasses;
+
+        this.classes = []; // 編集中の分類
+        this.resolve = null; // 表示中のダイアログの結果を返す関数
+
+        this.initEventHandlers();
+    }
+
+    // イベントハンドラーを初期化
+    initEventHandlers() {
+        // 項目を変更した場合は条件の意味が変わるため、分類を作り直す
+        this.fieldSelect.addEventListener('change', () => {
+            this.classes = this.fieldSelect.value ? this.buildClasses(this.fieldSelect.value) : [];
+            this.render();
+        });
+
+        this.autoButton.addEventListener('click', () => {
+            this.classes = this.buildClasses(this.fieldSelect.value);
+            this.render();
+        });
+
+        this.addButton.addEventListener('click', () => {
+            const palette = CONFIG.MARKER_STYLE_PALETTE;
+            this.classes.push(MarkerStyle.normalizeClass({ color: palette[this.classes.length % palette.length] }));
+            this.render();
+        });
+
+        document.getElementById('markerStyleOkBtn').addEventListener('click', () => {
+            this.close({ field: this.fieldSelect.value, classes: this.classes });
+        });
+
+        document.getElementById('markerStyleCancelBtn').addEventListener('click', () => {
+            this.close(null);
+        });
+    }
+
+    /**
+     * ダイアログを表示し、設定した表示ルールを返す
+     * @param {{field: string, classes: Array<Object>}} rule - 現在の表示ルール
+     * @param {Array<string>} extraColumns - 分類に使用できる読み込んだファイルの列
+     * @returns {Promise<{field: string, classes: Array<Object>}|null>} 表示ルール（キャンセル時はnull）
+     */
+    open(rule, extraColumns) {
+        this.fieldSelect.innerHTML = '';
+        const fields = [
+            ['', 'なし（すべて標準の表示）'],
+            ...Object.entries(MARKER_STYLE_FIELDS),
+            ...extraColumns.map(column => [`extra:${column}`, `列: ${column}`])
+        ];
+        // 保存した表示ルールの列が現在のファイルに無い場合も選択肢に残す
+        if (rule.field && !fields.some(([value]) => value === rule.field)) {
+            fields.push([rule.field, `列: ${rule.field.replace(/^extra:/, '')}`]);
+        }
+        fields.forEach(([value, label]) => {
+            this.fieldSelect.add(new Option(label, value));
+        });
+
+        this.fieldSelect.value = rule.field;
+        this.classes = rule.classes.map(item => ({ ...item }));
+        this.render();
+        this.dialog.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    // ダイアログを閉じて結果を返す
+    close(result) {
+        this.dialog.style.display = 'none';
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+
+    // 分類の一覧を入力欄付きの表で表示
+    render() {
+        const field = this.fieldSelect.value;
+        this.autoButton.disabled = field === '';
+        this.addButton.disabled = field === '';
+        this.table.innerHTML = '';
+        if (field === '') return;
+
+        const headerTr = this.table.createTHead().insertRow();
+        ['表示名', field === 'elevation' ? '標高（以上〜未満）' : '値', '色', '大きさ', '形', ''].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerTr.appendChild(th);
+        });
+
+        const tbody = this.table.createTBody();
+        this.classes.forEach((item, index) => {
+            const tr = tbody.insertRow();
+
+            const labelInput = this.createInput(item, 'label', 'text');
+            labelInput.placeholder = MarkerStyle.getClassLabel({ ...item, label: '' }, field);
+            tr.insertCell().appendChild(labelInput);
+
+            const conditionCell = tr.insertCell();
+            if (field === 'elevation') {
+                conditionCell.className = 'marker-style-range';
+                conditionCell.append(this.createInput(item, 'min', 'number'), '〜', this.createInput(item, 'max', 'number'));
+            } else {
+                conditionCell.appendChild(this.createInput(item, 'value', 'text'));
+            }
+
+            tr.insertCell().appendChild(this.createInput(item, 'color', 'color'));
+
+            const radiusInput = this.createInput(item, 'radius', 'number');
+            radiusInput.min = 1;
+            radiusInput.max = 20;
+            tr.insertCell().appendChild(radiusInput);
+
+            const shapeSelect = document.createElement('select');
+            Object.entries(MARKER_SHAPES).forEach(([value, label]) => {
+                shapeSelect.add(new Option(label, value));
+            });
+            shapeSelect.value = item.shape;
+            shapeSelect.addEventListener('change', () => {
+                item.shape = shapeSelect.value;
+            });
+            tr.insertCell().appendChild(shapeSelect);
+
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.className = 'table-action-btn';
+            deleteButton.textContent = '削除';
+            deleteButton.addEventListener('click', () => {
+                this.classes.splice(index, 1);
+                this.render();
+            });
+            tr.insertCell().appendChild(deleteButton);
+        });
+    }
+
+    // 分類の値を編集する入力欄を作成
+    createInput(item, key, type) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = item[key];
+        input.addEventListener('input', () => {
+            item[key] = type === 'number' && key === 'radius' ? parseFloat(input.value) : input.value;
+        });
+        return input;
+    }
+}
@@ -0,0 +1,186 @@
+import { CONFIG } from './config.js';
+import { MARKER_SHAPES } from './shape-marker.js';
+
+// 分類に使用できる項目（extra:列名 は読み込んだファイルの認識できなかった列）
+export const MARKER_STYLE_FIELDS = {
+    idPrefix: 'IDの接頭辞',
+    remarks: '備考',
+    elevation: '標高'
+};
+
+/**
+ * マーカーの表示ルール
+ * 1つの項目の値でポイントを分類し、分類ごとに色・大きさ・形を設定する
+ * （IDの接頭辞・列の値は一致、備考は含む、標高は下限以上・上限未満で判定し、どの分類にも当てはまらないポイントは標準の表示）
+ */
+export class MarkerStyle {
+    /**
+     * @param {{field: string, classes: Array<{label: string, value: string, min: string, max: string, color: string, radius: number, shape: string}>}|null} rule
+     *        - 分類する項目（空の場合はルールなし）と分類
+     */
+    constructor(rule = null) {
+        this.field = (rule && rule.field) || '';
+        this.classes = this.field ? (rule.classes || []).map(item => MarkerStyle.normalizeClass(item)) : [];
+    }
+
+    /**
+     * 分類の値を補完（保存した設定が古い・不完全な場合に備える）
+     * @param {Object} item - 分類
+     * @returns {Object} 補完した分類
+     */
+    static normalizeClass(item) {
+        const radius = parseFloat(item.radius);
+        return {
+            label: String(item.label || ''),
+            value: String(item.value || ''),
+            min: item.min === undefined || item.min === null ? '' : String(item.min),
+            max: item.max === undefined || item.max === null ? '' : String(item.max),
+            color: /^#[0-9a-f]{6}$/i.test(item.color) ? item.color : CONFIG.POINT_MARKER_COLOR,
+            radius: radius > 0 ? radius : CONFIG.POINT_MARKER_RADIUS,
+            shape: item.shape in MARKER_SHAPES ? item.shape : 'circle'
+        };
+    }
+
+    /**
+     * ルールがあるか
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.field !== '' && this.classes.length > 0;
+    }
+
+    /**
+     * ルールの設定を取得（保存用）
+     * @returns {{field: string, classes: Array<Object>}}
+     */
+    getRule() {
+        return { field: this.field, classes: this.classes.map(item => ({ ...item })) };
+    }
+
+    /**
+     * 標準の表示（どの分類にも当てはまらないポイント）
+     * @returns {{color: string, radius: number, shape: string}}
+     */
+    static getDefaultStyle() {
+        return { color: CONFIG.POINT_MARKER_COLOR, radius: CONFIG.POINT_MARKER_RADIUS, shape: 'circle' };
+    }
+
+    /**
+     * IDの接頭辞を取得（末尾の連番と区切り文字を除いた部分）
+     * @param {string} id - ポイントID
+     * @returns {string} 接頭辞
+     */
+    static getIdPrefix(id) {
+        return String(id).replace(/\d+$/, '').replace(/[^\p{L}\p{N}]+$/u, '');
+    }
+
+    /**
+     * 分類する項目のポイントの値を取得
+     * @param {Object} point - ポイント
+     * @param {string} field - 項目
+     * @returns {string} 値（前後の空白を除く）
+     */
+    static getFieldValue(point, field) {
+        let value;
+        if (field === 'idPrefix') {
+            value = this.getIdPrefix(point.id);
+        } else if (field.startsWith('extra:')) {
+            value = point.extra ? point.extra[field.slice('extra:'.length)] : '';
+        } else {
+            value = point[field];
+        }
+        return value === undefined || value === null ? '' : String(value).trim();
+    }
+
+    /**
+     * ポイントが当てはまる分類の番号を取得（先頭の分類から順に判定）
+     * @param {Object} point - ポイント
+     * @returns {number} 分類の番号（当てはまらない場合は-1）
+     */
+    classify(point) {
+        if (!this.field) return -1;
+
+        const value = MarkerStyle.getFieldValue(point, this.field);
+        if (this.field === 'elevation') {
+            const elevation = parseFloat(value);
+            if (isNaN(elevation)) return -1;
+            return this.classes.findIndex(item =>
+                (item.min === '' || elevation >= parseFloat(item.min)) && (item.max === '' || elevation < parseFloat(item.max)));
+        }
+        if (this.field === 'remarks') {
+            return this.classes.findIndex(item => item.value !== '' && value.includes(item.value));
+        }
+        return this.classes.findIndex(item => item.value === value);
+    }
+
+    /**
+     * 分類の表示（色・大きさ・形）を取得
+     * @param {number} classIndex - 分類の番号（-1は標準の表示）
+     * @returns {{color: string, radius: number, shape: string}}
+     */
+    getStyle(classIndex) {
+        const item = this.classes[classIndex];
+        return item ? { color: item.color, radius: item.radius, shape: item.shape } : MarkerStyle.getDefaultStyle();
+    }
+
+    /**
+     * 分類の表示名を取得（未入力の場合は条件から作成）
+     * @param {Object} item - 分類
+     * @param {string} field - 分類する項目
+     * @returns {string} 表示名
+     */
+    static getClassLabel(item, field) {
+        if (item.label) return item.label;
+        if (field === 'elevation') {
+            return `${item.min === '' ? '' : `${item.min}m`}〜${item.max === '' ? '' : `${item.max}m未満`}`;
+        }
+        return item.value || '（空欄）';
+    }
+
+    /**
+     * ポイントの値から分類を自動作成
+     * 標高は最小〜最大を等間隔に区切り、それ以外は件数の多い値から順に作成する
+     * @param {string} field - 分類する項目
+     * @param {Array<Object>} points - ポイント
+     * @returns {Array<Object>} 分類
+     */
+    static buildClasses(field, points) {
+        const palette = CONFIG.MARKER_STYLE_PALETTE;
+        const maxClasses = CONFIG.MARKER_STYLE_MAX_CLASSES;
+        const createClass = (index, condition) => this.normalizeClass({
+            ...condition,
+            color: palette[index % palette.length],
+            radius: CONFIG.POINT_MARKER_RADIUS,
+            shape: 'circle'
+        });
+
+        if (field === 'elevation') {
+            const elevations = points.map(point => parseFloat(point.elevation)).filter(value => !isNaN(value));
+            if (elevations.length === 0) return [];
+
+            const min = elevations.reduce((a, b) => Math.min(a, b));
+            const max = elevations.reduce((a, b) => Math.max(a, b));
+            const rangeCount = Math.min(CONFIG.MARKER_STYLE_ELEVATION_RANGES, maxClasses);
+            // 区切りは10m単位に丸める
+            const step = Math.max(Math.ceil((max - min) / rangeCount / 10) * 10, 10);
+            const start = Math.floor(min / step) * step;
+            const classes = [];
+            for (let lower = start; lower <= max && classes.length < maxClasses; lower += step) {
+                classes.push(createClass(classes.length, { min: String(lower), max: String(lower + step) }));
+            }
+            return classes;
+        }
+
+        const counts = new Map();
+        points.forEach(point => {
+            const value = this.getFieldValue(point, field);
+            if (value !== '') {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            }
+        });
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'ja', { numeric: true }))
+            .slice(0, maxClasses)
+            .map(([value], index) => createClass(index, { value }));
+    }
+}
@@ -0,0 +1,86 @@
+// 結合読み込みプレビューダイアログ管理クラス
+import { CONFIG } from './config.js';
+
+export class MergePreviewDialog {
+    constructor() {
+        this.dialog = document.getElementById('mergePreviewDialog');
+        this.summary = document.getElementById('mergePreviewSummary');
+        this.table = document.getElementById('mergePreviewTable');
+        this.policySelect = document.getElementById('mergePolicySelect');
+
+        this.resolve = null; // 表示中のダイアログの結果を返す関数
+
+        this.initEventHandlers();
+    }
+
+    // イベントハンドラーを初期化
+    initEventHandlers() {
+        document.getElementById('mergePreviewOkBtn').addEventListener('click', () => {
+            this.close(this.policySelect.value);
+        });
+
+        document.getElementById('mergePreviewCancelBtn').addEventListener('click', () => {
+            this.close(null);
+        });
+    }
+
+    /**
+     * 結合内容のプレビューを表示し、選択された重複IDの扱いを返す
+     * @param {{added: Array, changed: Array, unchanged: Array}} preview - 結合プレビュー
+     * @returns {Promise<string|null>} 'update' | 'skip' | 'keepBoth'（キャンセル時はnull）
+     */
+    open(preview) {
+        this.summary.textContent =
+            `追加 ${preview.added.length}件、変更あり ${preview.changed.length}件、変更なし ${preview.unchanged.length}件`;
+        this.renderTable(preview);
+
+        this.dialog.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    // ダイアログを閉じて結果を返す
+    close(result) {
+        this.dialog.style.display = 'none';
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+
+    // 追加・変更あり・変更なしのポイントを表に表示
+    renderTable(preview) {
+        this.table.innerHTML = '';
+
+        const headerTr = this.table.createTHead().insertRow();
+        ['区分', 'ポイントID', '内容'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerTr.appendChild(th);
+        });
+
+        const tbody = this.table.createTBody();
+        const addRow = (className, label, id, detail) => {
+            const tr = tbody.insertRow();
+            tr.className = className;
+            [label, id, detail].forEach(value => {
+                tr.insertCell().textContent = value;
+            });
+        };
+
+        preview.added.forEach(point => {
+            addRow('merge-added', '追加', point.id, point.location);
+        });
+        preview.changed.forEach(({ current, changes }) => {
+            const detail = changes
+                .map(change => `${CONFIG.COLUMN_HEADERS[change.field]}: ${change.before} → ${change.after}`)
+                .join('、');
+            addRow('merge-changed', '変更あり', current.id, detail);
+        });
+        preview.unchanged.forEach(point => {
+            addRow('merge-unchanged', '変更なし', point.id, point.location);
+        });
+    }
+}
@@ -0,0 +1,189 @@
+// 近接ポイント一覧（統合）ダイアログ管理クラス
+import { CONFIG } from './config.js';
+import { DataUtils } from './data-utils.js';
+
+// 統合時に残す値を選択する項目（position: 緯度・経度の組）
+const MERGE_FIELDS = [
+    { field: 'id', label: 'ポイントID' },
+    { field: 'location', label: '名称' },
+    { field: 'position', label: '緯度・経度' },
+    { field: 'elevation', label: '標高' },
+    { field: 'remarks', label: '備考' }
+];
+
+export class NearDuplicateDialog {
+    /**
+     * @param {Function} findClusters - 近接ポイントの検索処理 findClusters(distance) → Array<Array<Object>>
+     * @param {Function} onMerge - 統合時の処理 onMerge([{keepId, removeIds, values}, ...])
+     */
+    constructor(findClusters, onMerge) {
+        this.dialog = document.getElementById('nearDuplicateDialog');
+        this.distanceField = document.getElementById('nearDuplicateDistanceField');
+        this.summary = document.getElementById('nearDuplicateSummary');
+        this.table = document.getElementById('nearDuplicateTable');
+        this.mergeAllButton = document.getElementById('nearDuplicateMergeAllBtn');
+        this.findClusters = findClusters;
+        this.onMerge = onMerge;
+
+        this.clusters = [];
+
+        this.initEventHandlers();
+    }
+
+    // イベントハンドラーを初期化
+    initEventHandlers() {
+        document.getElementById('nearDuplicateSearchBtn').addEventListener('click', () => {
+            this.search();
+        });
+
+        this.distanceField.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.search();
+            }
+        });
+
+        this.mergeAllButton.addEventListener('click', () => {
+            this.onMerge(this.clusters.map((_, index) => this.getMerge(index)));
+        });
+
+        document.getElementById('nearDuplicateCloseBtn').addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    /**
+     * 指定距離で近接ポイントを検索して表示（表示中の場合は内容を更新）
+     * @param {number} distance - 同じ場所とみなす距離（メートル）
+     */
+    open(distance) {
+        this.distanceField.value = distance;
+        this.dialog.style.display = 'flex';
+        this.search();
+    }
+
+    // ダイアログを閉じる
+    close() {
+        this.dialog.style.display = 'none';
+    }
+
+    // 入力された距離で近接ポイントを検索
+    search() {
+        const distance = parseFloat(DataUtils.convertFullWidthToHalfWidth(this.distanceField.value));
+        if (isNaN(distance) || distance <= 0) {
+            this.summary.textContent = '距離には0より大きい数値（メートル）を入力してください';
+            this.clusters = [];
+            this.mergeAllButton.disabled = true;
+            this.table.innerHTML = '';
+            return;
+        }
+
+        const clusters = this.findClusters(distance);
+        this.clusters = clusters.slice(0, CONFIG.NEAR_DUPLICATE_PREVIEW_CLUSTERS);
+
+        const pointCount = clusters.reduce((sum, points) => sum + points.length, 0);
+        const limitNote = clusters.length > this.clusters.length ? `（先頭の${this.clusters.length}組を表示）` : '';
+        this.summary.textContent = clusters.length === 0
+            ? `${distance}m以内に近接するポイントはありません`
+            : `${distance}m以内に近接するポイントが${clusters.length}組（${pointCount}件）あります${limitNote}。` +
+              '組ごとに残すIDと値を選択して統合してください（その他の列の値は残すIDのポイントのものを使用）';
+        this.mergeAllButton.disabled = this.clusters.length === 0;
+        this.renderTable();
+    }
+
+    // 組ごとのポイントを、残す値を選択するラジオボタン付きで表に表示
+    renderTable() {
+        this.table.innerHTML = '';
+        if (this.clusters.length === 0) return;
+
+        const headerTr = this.table.createTHead().insertRow();
+        [...MERGE_FIELDS.map(({ label }) => label), '先頭からの距離'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerTr.appendChild(th);
+        });
+
+        const tbody = this.table.createTBody();
+        this.clusters.forEach((points, clusterIndex) => {
+            // 組の見出し行（組ごとの統合ボタン）
+            const headingCell = tbody.insertRow().insertCell();
+            headingCell.colSpan = MERGE_FIELDS.length + 1;
+            headingCell.className = 'near-duplicate-heading';
+            headingCell.textContent = `組 ${clusterIndex + 1}（${points.length}件） `;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'table-action-btn';
+            button.textContent = '選択した値で統合';
+            button.addEventListener('click', () => {
+                this.onMerge([this.getMerge(clusterIndex)]);
+            });
+            headingCell.appendChild(button);
+
+            const defaultIndexes = this.getDefaultIndexes(points);
+            points.forEach((point, pointIndex) => {
+                const tr = tbody.insertRow();
+                MERGE_FIELDS.forEach(({ field }) => {
+                    const label = document.createElement('label');
+                    const radio = document.createElement('input');
+                    radio.type = 'radio';
+                    radio.name = `nearDuplicate-${clusterIndex}-${field}`;
+                    radio.value = pointIndex;
+                    radio.checked = defaultIndexes[field] === pointIndex;
+                    label.appendChild(radio);
+                    label.appendChild(document.createTextNode(this.formatValue(point, field)));
+                    tr.insertCell().appendChild(label);
+                });
+
+                const distance = DataUtils.calculateDistance(points[0].lat, points[0].lng, point.lat, point.lng);
+                tr.insertCell().textContent = pointIndex === 0 ? '' : `${distance.toFixed(1)}m`;
+            });
+        });
+    }
+
+    // 初期選択（IDは一覧で先のポイント、その他の値は値のある最初のポイント）
+    getDefaultIndexes(points) {
+        const indexes = {};
+        MERGE_FIELDS.forEach(({ field }) => {
+            const index = field === 'id' || field === 'position'
+                ? 0
+                : points.findIndex(point => String(point[field] || '').trim() !== '');
+            indexes[field] = Math.max(index, 0);
+        });
+        return indexes;
+    }
+
+    formatValue(point, field) {
+        if (field === 'position') {
+            return `${point.lat.toFixed(5)}, ${point.lng.toFixed(5)}`;
+        }
+        return point[field] || '';
+    }
+
+    /**
+     * 組のラジオボタンの選択から統合内容を作成
+     * @param {number} clusterIndex - 組の番号
+     * @returns {{keepId: string, removeIds: Array<string>, values: Object}} 統合内容
+     */
+    getMerge(clusterIndex) {
+        const points = this.clusters[clusterIndex];
+        const selected = {};
+        MERGE_FIELDS.forEach(({ field }) => {
+            const radio = this.table.querySelector(`input[name="nearDuplicate-${clusterIndex}-${field}"]:checked`);
+            selected[field] = points[radio ? Number(radio.value) : 0];
+        });
+
+        const keepId = selected.id.id;
+        return {
+            keepId: keepId,
+            // 残すIDと同じIDのポイント（ID重複）は削除しない
+            removeIds: points.filter(point => point.id !== keepId).map(point => point.id),
+            values: {
+                location: selected.location.location || '',
+                lat: selected.position.lat,
+                lng: selected.position.lng,
+                elevation: selected.elevation.elevation || '',
+                remarks: selected.remarks.remarks || ''
+            }
+        };
+    }
+}
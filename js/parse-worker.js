@@ -0,0 +1,40 @@
+// ファイル解析用Web Worker
+// 数万件規模のExcel・CSV・GeoJSONの解析中も画面が操作できるよう、メインスレッドから分離して解析する
+import * as XLSX from 'https://unpkg.com/xlsx@0.18.5/xlsx.mjs';
+import { FileHandler } from './file-handler.js';
+
+// FileHandlerはメインスレッドと同じくグローバルのXLSXを参照する
+self.XLSX = XLSX;
+
+const fileHandler = new FileHandler();
+fileHandler.setProgressHandler((message, ratio) => {
+    self.postMessage({ type: 'progress', message, ratio });
+});
+
+// メッセージ {format: 'excel' | 'csv' | 'geojson', file: File}
+// 結果 {type: 'result', sheets | rows, warnings}、失敗時 {type: 'error', message}
+self.onmessage = async (e) => {
+    const { format, file } = e.data;
+
+    try {
+        switch (format) {
+            case 'excel': {
+                const sheets = fileHandler.getAllSheetRows(await fileHandler.loadExcelWorkbook(file));
+                self.postMessage({ type: 'result', sheets, warnings: fileHandler.getImportWarnings() });
+                break;
+            }
+            case 'csv':
+            case 'geojson': {
+                const rows = format === 'csv'
+                    ? await fileHandler.loadCSVFile(file)
+                    : await fileHandler.loadGeoJSONFile(file);
+                self.postMessage({ type: 'result', rows, warnings: fileHandler.getImportWarnings() });
+                break;
+            }
+            default:
+                throw new Error(`解析できないファイル形式です: ${format}`);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,92 @@
+// 地図上の経路（折れ線）描画クラス（ID振り直しの並び順に使用）
+import { CONFIG } from './config.js';
+
+export class PathDrawer {
+    constructor(mapManager) {
+        this.map = mapManager.getMap();
+        this.polyline = null;
+        this.latlngs = [];
+        this.resolve = null; // 描画中の経路を返す関数
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleDoubleClick = this.handleDoubleClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * 経路の描画を開始する
+     * 地図のクリックで頂点を追加し、ダブルクリックかEnterキーで終了、Escキーで中止
+     * @returns {Promise<Array<{lat: number, lng: number}>|null>} 経路の座標（中止した場合・2点未満の場合はnull）
+     */
+    draw() {
+        this.clear();
+        this.polyline = L.polyline([], {
+            color: CONFIG.RENUMBER_PATH_COLOR,
+            weight: 3,
+            dashArray: '6 4',
+            interactive: false
+        }).addTo(this.map);
+
+        this.map.doubleClickZoom.disable();
+        this.map.on('click', this.handleClick);
+        this.map.on('dblclick', this.handleDoubleClick);
+        document.addEventListener('keydown', this.handleKeyDown);
+        this.map.getContainer().style.cursor = 'crosshair';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    handleClick(e) {
+        // ダブルクリックの2回目のクリック等、同じ位置の頂点は追加しない
+        const last = this.latlngs[this.latlngs.length - 1];
+        if (last && last.equals(e.latlng)) return;
+
+        this.latlngs.push(e.latlng);
+        this.polyline.setLatLngs(this.latlngs);
+    }
+
+    handleDoubleClick() {
+        this.finish(true);
+    }
+
+    handleKeyDown(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.finish(true);
+        } else if (e.key === 'Escape') {
+            this.finish(false);
+        }
+    }
+
+    // 描画を終了して経路を返す
+    finish(accepted) {
+        this.map.off('click', this.handleClick);
+        this.map.off('dblclick', this.handleDoubleClick);
+        document.removeEventListener('keydown', this.handleKeyDown);
+        this.map.doubleClickZoom.enable();
+        this.map.getContainer().style.cursor = '';
+
+        const path = accepted && this.latlngs.length >= 2
+            ? this.latlngs.map(latlng => ({ lat: latlng.lat, lng: latlng.lng }))
+            : null;
+        if (!path) {
+            this.clear();
+        }
+
+        if (this.resolve) {
+            this.resolve(path);
+            this.resolve = null;
+        }
+    }
+
+    // 描いた経路を地図から削除
+    clear() {
+        if (this.polyline) {
+            this.map.removeLayer(this.polyline);
+            this.polyline = null;
+        }
+        this.latlngs = [];
+    }
+}
@@ -0,0 +1,163 @@
+// ポイントのラベル（ID・名称）を地図上に常時表示するレイヤー
+// 表示範囲内のポイントのみ、優先順に重ならない位置（マーカーの右、空いていなければ左）へ配置し、
+// 他のラベルと重なるポイント・ズームが小さい場合のラベルは表示しない
+import { CONFIG } from './config.js';
+
+// ラベルの表示内容と表示名
+export const POINT_LABEL_MODES = {
+    none: '表示しない',
+    id: 'ID',
+    name: '名称',
+    both: 'IDと名称'
+};
+
+const LABEL_FONT = '12px sans-serif';
+const LABEL_HEIGHT = 16;  // ラベルの高さ（px）
+const LABEL_PADDING = 3;  // ラベルの左右の余白（px）
+const LABEL_GAP = 3;      // マーカーとラベルの間隔（px）
+const COLLISION_CELL_SIZE = 64; // 重なり判定用の格子の大きさ（px）
+
+export class PointLabelLayer {
+    /**
+     * @param {L.Map} map - 地図
+     * @param {Function} getTargets - 表示範囲内のラベルを表示するポイントを優先順に取得する処理
+     *        getTargets(bounds) => Array<{point: Object, latlng: L.LatLng, radius: number}>
+     */
+    constructor(map, getTargets) {
+        this.map = map;
+        this.getTargets = getTargets;
+        this.mode = 'none';
+        this.minZoom = CONFIG.POINT_LABEL_MIN_ZOOM;
+        this.frameId = null; // 更新を予約中の場合はrequestAnimationFrameのID
+
+        // ラベルはポイントのマーカー（Canvas）より手前に表示し、クリックはマーカー・地図へ通す
+        this.pane = map.createPane('pointLabelPane');
+        this.pane.style.zIndex = 450;
+        this.pane.style.pointerEvents = 'none';
+
+        this.measureContext = document.createElement('canvas').getContext('2d');
+        this.measureContext.font = LABEL_FONT;
+
+        // ズーム中は位置がずれるため非表示にし、移動・ズームの完了後に配置し直す
+        map.on('zoomstart', () => {
+            this.pane.style.display = 'none';
+        });
+        map.on('moveend', () => this.update());
+    }
+
+    /**
+     * 表示内容を設定
+     * @param {string} mode - 表示内容（POINT_LABEL_MODESのキー）
+     */
+    setMode(mode) {
+        this.mode = mode in POINT_LABEL_MODES ? mode : 'none';
+        this.update();
+    }
+
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * ラベルを表示する最小のズームを設定
+     * @param {number} zoom - ズーム
+     */
+    setMinZoom(zoom) {
+        this.minZoom = zoom;
+        this.update();
+    }
+
+    getMinZoom() {
+        return this.minZoom;
+    }
+
+    /**
+     * ポイントのラベルの文字列を取得（表示する内容が空の場合は空文字）
+     * @param {Object} point - ポイント
+     * @returns {string}
+     */
+    getText(point) {
+        const location = (point.location || '').trim();
+        switch (this.mode) {
+            case 'id':
+                return point.id;
+            case 'name':
+                return location;
+            case 'both':
+                return location ? `${point.id} ${location}` : point.id;
+            default:
+                return '';
+        }
+    }
+
+    // ラベルの配置を更新（ポイントの変更・ドラッグ中は何度も呼ばれるため、描画の直前に1回だけ配置する）
+    update() {
+        if (this.frameId !== null) return;
+        this.frameId = requestAnimationFrame(() => {
+            this.frameId = null;
+            this.render();
+        });
+    }
+
+    // 表示範囲内のポイントのラベルを重ならないように配置
+    render() {
+        this.pane.innerHTML = '';
+        this.pane.style.display = '';
+        if (this.mode === 'none' || this.map.getZoom() < this.minZoom) return;
+
+        const occupied = new Map(); // 格子のキー -> 配置済みのラベルの矩形
+        let count = 0;
+        for (const { point, latlng, radius } of this.getTargets(this.map.getBounds())) {
+            if (count >= CONFIG.POINT_LABEL_MAX_COUNT) break;
+
+            const text = this.getText(point);
+            if (!text) continue;
+
+            const position = this.map.latLngToLayerPoint(latlng);
+            const width = Math.ceil(this.measureContext.measureText(text).width) + LABEL_PADDING * 2;
+            const top = position.y - LABEL_HEIGHT / 2;
+            const candidates = [
+                { left: position.x + radius + LABEL_GAP, top },
+                { left: position.x - radius - LABEL_GAP - width, top }
+            ];
+            const rect = candidates
+                .map(({ left, top }) => ({ left, top, right: left + width, bottom: top + LABEL_HEIGHT }))
+                .find(candidate => !this.isOccupied(occupied, candidate));
+            if (!rect) continue;
+
+            this.occupy(occupied, rect);
+            const label = L.DomUtil.create('div', 'point-label', this.pane);
+            label.style.font = LABEL_FONT;
+            label.style.lineHeight = `${LABEL_HEIGHT}px`;
+            label.style.padding = `0 ${LABEL_PADDING}px`;
+            label.textContent = text;
+            L.DomUtil.setPosition(label, L.point(rect.left, rect.top));
+            count++;
+        }
+    }
+
+    // 矩形が重なる格子のキーを取得
+    getCellKeys(rect) {
+        const keys = [];
+        for (let row = Math.floor(rect.top / COLLISION_CELL_SIZE); row <= Math.floor(rect.bottom / COLLISION_CELL_SIZE); row++) {
+            for (let col = Math.floor(rect.left / COLLISION_CELL_SIZE); col <= Math.floor(rect.right / COLLISION_CELL_SIZE); col++) {
+                keys.push(`${row}:${col}`);
+            }
+        }
+        return keys;
+    }
+
+    // 配置済みのラベルと重なるか
+    isOccupied(occupied, rect) {
+        return this.getCellKeys(rect).some(key => (occupied.get(key) || []).some(other =>
+            rect.left < other.right && other.left < rect.right && rect.top < other.bottom && other.top < rect.bottom));
+    }
+
+    // ラベルの配置を記録
+    occupy(occupied, rect) {
+        this.getCellKeys(rect).forEach(key => {
+            if (!occupied.has(key)) occupied.set(key, []);
+            occupied.get(key).push(rect);
+        });
+    }
+}
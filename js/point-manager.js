@@ -2,22 +2,59 @@
 import { CONFIG } from './config.js';
 import { DataUtils } from './data-utils.js';
 import { ElevationAPI } from './elevation-api.js';
+import { SpatialIndex } from './spatial-index.js';
+import { EditHistory } from './edit-history.js';
+import { ShapeMarker } from './shape-marker.js';
+import { MarkerStyle, MARKER_STYLE_FIELDS } from './marker-style.js';
+import { MarkerLegend } from './marker-legend.js';
+import { PointLabelLayer } from './point-label-layer.js';
 
 export class PointManager {
     constructor(mapManager, gpsDataManager) {
         this.mapManager = mapManager;
         this.gpsDataManager = gpsDataManager;
         this.markers = new Map(); // pointId -> marker
+        this.spatialIndex = new SpatialIndex(CONFIG.SPATIAL_INDEX_CELL_SIZE); // 近接ポイント検索用
+        this.hiddenGroups = new Set(); // 非表示にしているグループ（読み込み元シート名）
+        this.markerStyle = new MarkerStyle(); // マーカーの表示ルール
+        this.markerClasses = new WeakMap(); // マーカー -> 表示ルールの分類の番号（-1は標準の表示）
+        this.hiddenStyleClasses = new Set(); // 凡例で非表示にしている分類の番号
+        this.legend = new MarkerLegend(mapManager.getMap(), (classIndex, visible) => {
+            this.setStyleClassVisible(classIndex, visible);
+        });
+        this.labels = new PointLabelLayer(mapManager.getMap(), bounds => this.getLabelTargets(bounds)); // ID・名称のラベル
         this.selectedMarker = null;
-        this.selectedPointId = null;
+        this.selectedPointId = null; // 情報表示・移動の対象（複数選択時は最後に選択したポイント）
+        this.selectedPointIds = new Set(); // 選択中のすべてのポイント（Shift+クリック・範囲選択で複数）
+        this.multiEditValues = null; // 複数選択時に表示した名称・備考（変更された項目の判定用）
         this.isAddingPoint = false;
         this.isMovingPoint = false;
         this.appInstance = null; // アプリケーションインスタンスへの参照
+        this.pointsChangeHandler = null; // ポイントの追加・削除・変更時に呼び出す処理（一覧表の更新等）
+        this.selectionChangeHandler = null; // 選択の変更時に呼び出す処理 handler(selectedPointIds, selectedPointId)
+
+        // 元に戻す・やり直しの履歴（一覧表等の更新は変更を適用した後にrecordOperation・undo・redoで行う）
+        this.history = new EditHistory();
+        this.history.setChangeHandler(() => {
+            this.updateHistoryButtons();
+        });
         
         // ドラッグ関連の状態
         this.isDragging = false;
         this.draggingMarker = null;
         this.draggingPointId = null;
+        this.dragStartValues = null; // ドラッグ開始時の各ポイントの座標・標高（pointId -> 値、元に戻す用）
+        this.dragStartLatLng = null; // ドラッグを開始したマーカーの元の位置
+
+        // 矢印キーによる移動の状態
+        this.nudgeStartValues = null; // 移動開始時の各ポイントの座標・標高（pointId -> 値、元に戻す用）
+        this.nudgeTimer = null; // 移動を確定するタイマー
+        this.lastMouseLatLng = null; // 地図上の最後のマウス位置（追加モードでEnterキーを押した場合の追加位置）
+        this.pendingElevationCount = 0; // 移動したポイントの標高を取得中の件数（取得中は元に戻す・やり直しを行わない）
+
+        // 範囲選択（Shift+ドラッグ）の状態
+        this.selectionBox = null;
+        this.selectionBoxStart = null;
         
         this.initEventHandlers();
     }
@@ -27,6 +64,25 @@ export class PointManager {
         this.appInstance = appInstance;
     }
 
+    // ポイントの追加・削除・変更時の処理を設定
+    setPointsChangeHandler(handler) {
+        this.pointsChangeHandler = handler;
+    }
+
+    // 選択の変更時の処理を設定
+    setSelectionChangeHandler(handler) {
+        this.selectionChangeHandler = handler;
+    }
+
+    // ポイントの追加・削除・変更を反映（マーカーの分類は現在の値で判定するため、変更を適用した後に呼び出す）
+    notifyPointsChanged() {
+        this.refreshMarkerStyles();
+        this.labels.update();
+        if (this.pointsChangeHandler) {
+            this.pointsChangeHandler();
+        }
+    }
+
     // イベントハンドラーを初期化
     initEventHandlers() {
         // 地図クリックでポイント追加モード時の処理
@@ -37,13 +93,22 @@ export class PointManager {
             }
         });
 
-        // 地図全体でのマウスイベント（ドラッグ用、追加モード時のカーソル制御）
+        // 地図全体でのマウスイベント（ドラッグ用、範囲選択用、追加モード時のカーソル制御）
         const map = this.mapManager.getMap();
+        map.on('mousedown', (e) => {
+            // Shift+ドラッグで範囲選択（マーカー上のShift+クリックはマーカー側で処理）
+            if (e.originalEvent.shiftKey && !this.isAddingPoint && !this.isDragging) {
+                this.startSelectionBox(e.latlng);
+            }
+        });
+
         map.on('mousemove', (e) => {
-            if (this.isDragging && this.draggingMarker && this.draggingPointId === this.selectedPointId) {
-                this.draggingMarker.setLatLng(e.latlng);
-                // ドラッグ中にリアルタイムで座標情報を更新
-                this.updateCoordinateFieldsRealtime(e.latlng.lat, e.latlng.lng);
+            this.lastMouseLatLng = e.latlng;
+            if (this.selectionBox) {
+                this.selectionBox.setBounds(L.latLngBounds(this.selectionBoxStart, e.latlng));
+            }
+            else if (this.isDragging && this.draggingMarker) {
+                this.moveDraggingMarkers(e.latlng);
             }
             // 追加モード時のカーソル制御
             else if (this.isAddingPoint) {
@@ -53,7 +118,10 @@ export class PointManager {
         });
 
         map.on('mouseup', (e) => {
-            if (this.isDragging && this.draggingMarker) {
+            if (this.selectionBox) {
+                this.finishSelectionBox(e.latlng);
+            }
+            else if (this.isDragging && this.draggingMarker) {
                 this.stopDragging();
             }
         });
@@ -62,6 +130,7 @@ export class PointManager {
     // すべてのポイントを地図に表示
     displayAllPoints() {
         this.clearAllMarkers();
+        this.hiddenGroups.clear();
         
         const points = this.gpsDataManager.getAllPoints();
         points.forEach(point => {
@@ -69,43 +138,141 @@ export class PointManager {
         });
 
         this.updatePointCountDisplay();
+        this.updateGroupListDisplay();
+        this.notifyPointsChanged();
     }
 
-    // 指定位置の近くに既存ポイントがあるかチェック
-    findNearbyPoint(latlng) {
+    // グループの表示・非表示を切り替え
+    setGroupVisible(group, visible) {
+        if (visible) {
+            this.hiddenGroups.delete(group);
+        } else {
+            this.hiddenGroups.add(group);
+        }
+
         const map = this.mapManager.getMap();
-        const clickPoint = map.latLngToLayerPoint(latlng);
+        this.gpsDataManager.getAllPoints()
+            .filter(point => (point.group || '') === group)
+            .forEach(point => {
+                const marker = this.markers.get(point.id);
+                if (!marker) return;
 
-        // すべてのマーカーをチェック
-        for (const [pointId, marker] of this.markers) {
-            const markerPoint = map.latLngToLayerPoint(marker.getLatLng());
-            const distance = clickPoint.distanceTo(markerPoint);
+                // 凡例で非表示にしている分類のポイントは表示しない
+                if (visible && this.isPointVisible(point)) {
+                    marker.addTo(map);
+                } else {
+                    map.removeLayer(marker);
+                }
+            });
 
-            // 設定距離内に既存ポイントがある場合
-            if (distance <= CONFIG.DUPLICATE_CHECK_DISTANCE) {
-                const point = this.gpsDataManager.getPointById(pointId);
-                return point;
+        // 非表示になったポイントは選択を解除
+        if (!visible && this.selectedPointIds.size > 0) {
+            const remainingIds = this.gpsDataManager.getPointsByIds(this.selectedPointIds)
+                .filter(point => (point.group || '') !== group)
+                .map(point => point.id);
+            if (remainingIds.length === 0) {
+                this.clearSelection();
+            } else if (remainingIds.length !== this.selectedPointIds.size) {
+                this.setSelection(remainingIds);
             }
         }
+        this.labels.update();
+    }
+
+    // グループ一覧（表示切替チェックボックス）を更新
+    // グループが無い（単一シート読み込み等）場合は一覧自体を非表示
+    updateGroupListDisplay() {
+        const container = document.getElementById('groupListContainer');
+        const list = document.getElementById('groupList');
+        const groups = this.gpsDataManager.getGroups();
+
+        list.innerHTML = '';
+        if (groups.length === 0 || (groups.length === 1 && groups[0] === '')) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const counts = new Map();
+        this.gpsDataManager.getAllPoints().forEach(point => {
+            const group = point.group || '';
+            counts.set(group, (counts.get(group) || 0) + 1);
+        });
+        groups.forEach(group => {
+            const count = counts.get(group) || 0;
+
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !this.hiddenGroups.has(group);
+            checkbox.addEventListener('change', () => {
+                this.setGroupVisible(group, checkbox.checked);
+            });
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(`${group || '（グループなし）'} (${count})`));
+            list.appendChild(label);
+        });
+
+        container.style.display = 'block';
+    }
 
-        return null;
+    // 指定位置から重複判定距離（メートル、ズームに関係なく一定）内にある最も近い既存ポイントを取得
+    // excludeIdsを指定した場合はそのポイントを除く（移動したポイント自身等）
+    findNearbyPoint(latlng, excludeIds = null) {
+        const candidates = this.spatialIndex.searchWithinDistance(
+            latlng.lat, latlng.lng, this.gpsDataManager.getDuplicateDistance());
+
+        const nearest = candidates.find(({ id }) => this.markers.has(id) && !(excludeIds && excludeIds.has(id)));
+        return nearest ? this.gpsDataManager.getPointById(nearest.id) : null;
     }
 
-    // 指定ポイントのマーカーを追加
+    // 移動したポイントの重複判定距離内に他のポイントがある場合は警告を表示（移動は取り消さない）
+    warnNearbyPoints(pointIds) {
+        const movedIds = new Set(pointIds);
+        for (const point of this.gpsDataManager.getPointsByIds(pointIds)) {
+            const nearbyPoint = this.findNearbyPoint(point, movedIds);
+            if (nearbyPoint) {
+                this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.NEARBY_POINT_WARNING, {
+                    id: point.id,
+                    nearbyId: nearbyPoint.id,
+                    distance: this.gpsDataManager.getDuplicateDistance()
+                }));
+                return;
+            }
+        }
+    }
+
+    // 指定ポイントのマーカーを追加（色・大きさ・形は表示ルールの分類による）
     addMarkerForPoint(point) {
-        const marker = L.circleMarker([point.lat, point.lng], {
-            radius: CONFIG.POINT_MARKER_RADIUS,
-            fillColor: CONFIG.POINT_MARKER_COLOR,
-            color: CONFIG.POINT_MARKER_COLOR,
+        const classIndex = this.markerStyle.classify(point);
+        const style = this.markerStyle.getStyle(classIndex);
+        const marker = new ShapeMarker([point.lat, point.lng], {
+            radius: style.radius,
+            fillColor: style.color,
+            color: style.color,
+            shape: style.shape,
             weight: 2,
             opacity: 1,
             fillOpacity: 0.6,
-            draggable: false
-        }).addTo(this.mapManager.getMap());
+            draggable: false,
+            renderer: this.mapManager.getPointRenderer()
+        });
+        this.markerClasses.set(marker, classIndex);
+
+        // 非表示グループ・非表示の分類のポイントは地図に追加しない
+        if (this.isPointVisible(point, marker)) {
+            marker.addTo(this.mapManager.getMap());
+        }
 
-        // マーカークリックイベント
+        // マーカークリックイベント（Shift+クリックで複数選択に追加・除外）
         marker.on('click', (e) => {
-            if (this.isMovingPoint && this.selectedPointId !== point.id) {
+            if (e.originalEvent.shiftKey) {
+                this.togglePointSelection(point.id);
+                return;
+            }
+            if (this.isMovingPoint && !this.selectedPointIds.has(point.id)) {
                 // 移動モードで他のポイントをクリックした場合、移動モードを解除
                 this.setMovingMode(false);
                 if (this.appInstance && this.appInstance.resetMoveButtonColor) {
@@ -118,7 +285,12 @@ export class PointManager {
 
         // 手動ドラッグ機能を実装
         marker.on('mousedown', (e) => {
-            if (this.isMovingPoint && this.selectedPointId === point.id) {
+            if (e.originalEvent.shiftKey) {
+                // 地図側の範囲選択を開始しない
+                L.DomEvent.stop(e);
+                return;
+            }
+            if (this.isMovingPoint && this.selectedPointIds.has(point.id)) {
                 this.startDragging(marker, point.id, e);
                 e.originalEvent.stopPropagation();
                 e.originalEvent.preventDefault();
@@ -126,6 +298,7 @@ export class PointManager {
         });
 
         this.markers.set(point.id, marker);
+        this.spatialIndex.insert(point.id, point.lat, point.lng);
         
         // ツールチップ表示
         marker.bindTooltip(point.id, {
@@ -140,14 +313,24 @@ export class PointManager {
         // 既存ポイントとの重複チェック
         const nearbyPoint = this.findNearbyPoint(latlng);
         if (nearbyPoint) {
-            this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.DUPLICATE_POINT_WARNING, {id: nearbyPoint.id}));
+            this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.DUPLICATE_POINT_WARNING, {
+                id: nearbyPoint.id,
+                distance: this.gpsDataManager.getDuplicateDistance()
+            }));
             return;
         }
 
         const point = this.gpsDataManager.addPoint(latlng.lat, latlng.lng);
         this.addMarkerForPoint(point);
+        this.recordOperation({
+            type: 'add',
+            label: `ポイント ${point.id} の追加`,
+            point: point,
+            index: this.gpsDataManager.getPointIndex(point.id)
+        });
         await this.selectPoint(point.id, true); // 新しいポイントフラグをtrueにする
         this.updatePointCountDisplay();
+        this.updateGroupListDisplay();
         this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.POINT_ADDED, {id: point.id}));
 
         // 標高をAPIから取得
@@ -156,7 +339,7 @@ export class PointManager {
         // すべての処理が完了してからポイントIDフィールドをフォーカス・全選択
         setTimeout(() => {
             const pointIdField = document.getElementById('pointIdField');
-            if (pointIdField && point.id.match(/^仮\d{2}$/)) {
+            if (pointIdField && this.gpsDataManager.isTemporaryId(point.id)) {
                 pointIdField.focus();
                 pointIdField.select();
 
@@ -168,38 +351,257 @@ export class PointManager {
         }, 100);
     }
 
-    // ポイントを選択
+    // ポイントを選択（他の選択は解除）
     async selectPoint(pointId, isNewPoint = false) {
-        // 前回選択されたマーカーの色をリセット
-        if (this.selectedMarker) {
-            this.selectedMarker.setStyle({
-                fillColor: CONFIG.POINT_MARKER_COLOR,
-                color: CONFIG.POINT_MARKER_COLOR
-            });
-        }
-
-        // 新しいマーカーを選択
         const marker = this.markers.get(pointId);
         if (marker) {
-            marker.setStyle({
-                fillColor: CONFIG.SELECTED_POINT_COLOR,
-                color: CONFIG.SELECTED_POINT_COLOR
-            });
-            
-            this.selectedMarker = marker;
-            this.selectedPointId = pointId;
+            this.setSelection([pointId], pointId, isNewPoint);
             
-            // ポイント情報を表示
+            // 標高が正の値でない場合は経度・緯度から標高を取得
             const point = this.gpsDataManager.getPointById(pointId);
             if (point) {
-                this.updatePointInfoDisplay(point, isNewPoint);
-                
-                // 標高が正の値でない場合は経度・緯度から標高を取得
                 await this.ensureElevationIfNeeded(point);
             }
         }
     }
 
+    // ポイントを選択に追加、または選択から除外（Shift+クリック）
+    togglePointSelection(pointId) {
+        const ids = new Set(this.selectedPointIds);
+        if (ids.has(pointId)) {
+            ids.delete(pointId);
+        } else {
+            ids.add(pointId);
+        }
+
+        const primaryId = ids.has(pointId) ? pointId : null;
+        this.setSelection([...ids], primaryId);
+    }
+
+    // 選択状態を変更し、マーカーの色とポイント情報表示を更新
+    // primaryIdは情報表示・移動の対象（省略時は最後のポイント）
+    setSelection(pointIds, primaryId = null, isNewPoint = false) {
+        const previousIds = this.selectedPointIds;
+        this.selectedPointIds = new Set(pointIds.filter(id => this.markers.has(id)));
+
+        // 選択から外れたマーカーと選択中のマーカーの色を更新
+        previousIds.forEach(id => this.updateMarkerStyle(id));
+        this.selectedPointIds.forEach(id => this.updateMarkerStyle(id));
+
+        const ids = [...this.selectedPointIds];
+        this.selectedPointId = this.selectedPointIds.has(primaryId) ? primaryId : (ids[ids.length - 1] || null);
+        this.selectedMarker = this.selectedPointId ? this.markers.get(this.selectedPointId) : null;
+
+        if (ids.length === 0) {
+            this.clearPointInfoDisplay();
+        } else if (ids.length === 1) {
+            const point = this.gpsDataManager.getPointById(this.selectedPointId);
+            if (point) {
+                this.updatePointInfoDisplay(point, isNewPoint);
+            }
+        } else {
+            this.updateMultiSelectionDisplay();
+        }
+
+        if (this.selectionChangeHandler) {
+            this.selectionChangeHandler(this.selectedPointIds, this.selectedPointId);
+        }
+        this.labels.update();
+    }
+
+    // マーカーの表示を表示ルールの分類と選択状態に合わせて設定
+    // 選択中のマーカーは分類の形のまま、選択の色（単独選択と複数選択で分ける）で大きくし、他のマーカーより手前に表示
+    updateMarkerStyle(pointId) {
+        const marker = this.markers.get(pointId);
+        if (!marker) return;
+
+        const style = this.markerStyle.getStyle(this.markerClasses.get(marker));
+        let color = style.color;
+        let radius = style.radius;
+        const isSelected = this.selectedPointIds.has(pointId);
+        if (isSelected) {
+            color = this.selectedPointIds.size > 1 ? CONFIG.MULTI_SELECTED_POINT_COLOR : CONFIG.SELECTED_POINT_COLOR;
+            radius += CONFIG.SELECTED_MARKER_RADIUS_INCREASE;
+        }
+        marker.setStyle({
+            fillColor: color,
+            color: color,
+            radius: radius,
+            shape: style.shape
+        });
+        if (isSelected && this.mapManager.getMap().hasLayer(marker)) {
+            marker.bringToFront();
+        }
+    }
+
+    // ポイントを地図に表示するか（非表示のグループ・凡例で非表示にした分類のポイントは表示しない）
+    isPointVisible(point, marker = this.markers.get(point.id)) {
+        return !this.hiddenGroups.has(point.group || '') &&
+            !(marker && this.hiddenStyleClasses.has(this.markerClasses.get(marker)));
+    }
+
+    /**
+     * マーカーの表示ルールを設定し、すべてのマーカーの表示を更新
+     * @param {{field: string, classes: Array<Object>}|null} rule - 表示ルール（nullの場合はすべて標準の表示）
+     */
+    setMarkerStyleRule(rule) {
+        this.markerStyle = new MarkerStyle(rule);
+        this.hiddenStyleClasses.clear();
+        this.refreshMarkerStyles(true);
+    }
+
+    // マーカーの表示ルールを取得
+    getMarkerStyleRule() {
+        return this.markerStyle.getRule();
+    }
+
+    // ポイントの値の変更に合わせてマーカーの分類を更新し、凡例の件数を更新
+    // force=trueの場合は分類が変わらないマーカーも表示を更新（表示ルールの変更時）
+    refreshMarkerStyles(force = false) {
+        const map = this.mapManager.getMap();
+        const counts = new Map();
+
+        this.gpsDataManager.getAllPoints().forEach(point => {
+            const marker = this.markers.get(point.id);
+            if (!marker) return;
+
+            const classIndex = this.markerStyle.classify(point);
+            counts.set(classIndex, (counts.get(classIndex) || 0) + 1);
+            if (!force && this.markerClasses.get(marker) === classIndex) return;
+
+            this.markerClasses.set(marker, classIndex);
+            this.updateMarkerStyle(point.id);
+            if (this.isPointVisible(point, marker)) {
+                if (!map.hasLayer(marker)) marker.addTo(map);
+            } else {
+                map.removeLayer(marker);
+            }
+        });
+
+        this.updateLegendDisplay(counts);
+    }
+
+    // 凡例を更新（表示ルールが無い場合は非表示）
+    updateLegendDisplay(counts) {
+        if (!this.markerStyle.isActive()) {
+            this.legend.update('', []);
+            return;
+        }
+
+        const field = this.markerStyle.field;
+        const title = MARKER_STYLE_FIELDS[field] || field.replace(/^extra:/, '');
+        const entries = this.markerStyle.classes.map((item, classIndex) => ({
+            classIndex,
+            label: MarkerStyle.getClassLabel(item, field),
+            style: this.markerStyle.getStyle(classIndex),
+            count: counts.get(classIndex) || 0,
+            visible: !this.hiddenStyleClasses.has(classIndex)
+        }));
+        if (counts.get(-1)) {
+            entries.push({
+                classIndex: -1,
+                label: 'その他',
+                style: MarkerStyle.getDefaultStyle(),
+                count: counts.get(-1),
+                visible: !this.hiddenStyleClasses.has(-1)
+            });
+        }
+        this.legend.update(title, entries);
+    }
+
+    // 凡例の分類の表示・非表示を切り替え（非表示になったポイントは選択を解除）
+    setStyleClassVisible(classIndex, visible) {
+        if (visible) {
+            this.hiddenStyleClasses.delete(classIndex);
+        } else {
+            this.hiddenStyleClasses.add(classIndex);
+        }
+
+        const map = this.mapManager.getMap();
+        this.gpsDataManager.getAllPoints().forEach(point => {
+            const marker = this.markers.get(point.id);
+            if (!marker || this.markerClasses.get(marker) !== classIndex) return;
+
+            if (this.isPointVisible(point, marker)) {
+                marker.addTo(map);
+            } else {
+                map.removeLayer(marker);
+            }
+        });
+
+        if (!visible && this.selectedPointIds.size > 0) {
+            const remainingIds = [...this.selectedPointIds].filter(pointId => map.hasLayer(this.markers.get(pointId)));
+            if (remainingIds.length === 0) {
+                this.clearSelection();
+            } else if (remainingIds.length !== this.selectedPointIds.size) {
+                this.setSelection(remainingIds, this.selectedPointId);
+            }
+        }
+        this.labels.update();
+    }
+
+    /**
+     * ラベルの表示設定
+     * @param {{mode: string, minZoom: number}} settings - 表示内容（POINT_LABEL_MODESのキー）と表示する最小のズーム
+     */
+    setLabelSettings({ mode, minZoom }) {
+        this.labels.setMode(mode);
+        this.labels.setMinZoom(minZoom);
+    }
+
+    // ラベルの表示設定を取得
+    getLabelSettings() {
+        return { mode: this.labels.getMode(), minZoom: this.labels.getMinZoom() };
+    }
+
+    // 指定範囲内の地図に表示中のポイントを、ラベルを優先して表示する順（選択中のポイント、ポイントの並び順）に取得
+    // 位置はドラッグ・キー操作で移動中のマーカーに合わせる
+    getLabelTargets(bounds) {
+        const map = this.mapManager.getMap();
+        const pointIds = this.spatialIndex.search(bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast());
+        const points = this.gpsDataManager.getPointsByIds([...this.selectedPointIds, ...pointIds]);
+        return [
+            ...points.filter(point => this.selectedPointIds.has(point.id)),
+            ...points.filter(point => !this.selectedPointIds.has(point.id))
+        ]
+            .map(point => ({ point, marker: this.markers.get(point.id) }))
+            .filter(({ marker }) => marker && map.hasLayer(marker))
+            .map(({ point, marker }) => ({ point, latlng: marker.getLatLng(), radius: marker.options.radius }));
+    }
+
+    // 範囲選択の矩形を表示開始
+    startSelectionBox(latlng) {
+        const map = this.mapManager.getMap();
+        map.dragging.disable();
+
+        this.selectionBoxStart = latlng;
+        this.selectionBox = L.rectangle(L.latLngBounds(latlng, latlng), {
+            color: CONFIG.MULTI_SELECTED_POINT_COLOR,
+            weight: 1,
+            dashArray: '4 4',
+            fillOpacity: 0.1,
+            interactive: false
+        }).addTo(map);
+    }
+
+    // 範囲選択を確定し、矩形内の表示中のポイントを選択に追加
+    finishSelectionBox(latlng) {
+        const map = this.mapManager.getMap();
+        const bounds = L.latLngBounds(this.selectionBoxStart, latlng);
+
+        map.removeLayer(this.selectionBox);
+        this.selectionBox = null;
+        this.selectionBoxStart = null;
+        map.dragging.enable();
+
+        const ids = this.spatialIndex.search(bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast())
+            .filter(id => map.hasLayer(this.markers.get(id)));
+        if (ids.length === 0) return;
+
+        this.setSelection([...this.selectedPointIds, ...ids], this.selectedPointId);
+        this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.POINTS_SELECTED, {count: this.selectedPointIds.size}));
+    }
+
     // 標高が正の値でない場合に経度・緯度から標高を取得
     async ensureElevationIfNeeded(point) {
         try {
@@ -209,6 +611,7 @@ export class PointManager {
             if (this.selectedPointId === point.id) {
                 document.getElementById('elevationField').value = updatedElevation;
             }
+            this.notifyPointsChanged();
         } catch (error) {
             console.warn('標高取得中にエラーが発生しました:', error);
         }
@@ -228,6 +631,7 @@ export class PointManager {
                 if (this.selectedPointId === pointId) {
                     document.getElementById('elevationField').value = elevation;
                 }
+                this.notifyPointsChanged();
             }
         } catch (error) {
             console.warn('ドラッグ後の標高取得中にエラーが発生しました:', error);
@@ -238,11 +642,34 @@ export class PointManager {
     updatePointPosition(pointId, lat, lng) {
         const point = this.gpsDataManager.updatePoint(pointId, { lat, lng });
         if (point) {
+            this.spatialIndex.insert(pointId, lat, lng);
             this.updatePointInfoDisplay(point);
             this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.POINT_MOVED, {id: pointId}));
         }
     }
 
+    // ポイントを指定した座標に移動し、標高を再取得（1回の操作として履歴に記録）
+    async movePointTo(pointId, lat, lng) {
+        const point = this.gpsDataManager.getPointById(pointId);
+        const marker = this.markers.get(pointId);
+        if (!point || !marker) return;
+
+        const before = { id: pointId, lat: point.lat, lng: point.lng, elevation: point.elevation };
+        marker.setLatLng([lat, lng]);
+        this.updatePointPosition(pointId, lat, lng);
+        this.warnNearbyPoints([pointId]);
+        this.mapManager.getMap().panTo([lat, lng]);
+
+        const after = { id: pointId, lat: point.lat, lng: point.lng, elevation: point.elevation };
+        this.recordOperation({
+            type: 'update',
+            label: `ポイント ${pointId} の移動`,
+            before: before,
+            after: after
+        });
+        await this.updateMovedElevations([{ point, after }]);
+    }
+
     // 選択されたポイントを削除
     deleteSelectedPoint() {
         if (!this.selectedPointId) {
@@ -250,26 +677,377 @@ export class PointManager {
             return;
         }
 
-        // マーカーを地図から削除
-        const marker = this.markers.get(this.selectedPointId);
+        // メッセージ用にポイントIDを保存
+        const deletedPointId = this.selectedPointId;
+
+        const index = this.gpsDataManager.getPointIndex(deletedPointId);
+        const point = this.removePointWithMarker(deletedPointId);
+        if (point) {
+            this.recordOperation({
+                type: 'delete',
+                label: `ポイント ${deletedPointId} の削除`,
+                point: point,
+                index: index
+            });
+        }
+
+        this.updatePointCountDisplay();
+        this.updateGroupListDisplay();
+        this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.POINT_DELETED, {id: deletedPointId}));
+    }
+
+    // 選択中のすべてのポイントを削除（1回の操作として履歴に記録）
+    deleteSelectedPoints() {
+        const pointIds = [...this.selectedPointIds];
+        if (pointIds.length === 0) {
+            this.showMessage(CONFIG.MESSAGES.NO_POINT_SELECTED);
+            return;
+        }
+
+        this.clearSelection();
+
+        const operations = [];
+        pointIds.forEach(pointId => {
+            const index = this.gpsDataManager.getPointIndex(pointId);
+            const point = this.removePointWithMarker(pointId);
+            if (point) {
+                operations.push({ type: 'delete', point: point, index: index });
+            }
+        });
+
+        this.recordOperation({
+            type: 'batch',
+            label: `${operations.length}個のポイントの削除`,
+            operations: operations
+        });
+
+        this.updatePointCountDisplay();
+        this.updateGroupListDisplay();
+        this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.POINTS_DELETED, {count: operations.length}));
+    }
+
+    // ポイントをデータとマーカーの両方から削除（選択中の場合は選択から除外）
+    removePointWithMarker(pointId) {
+        if (this.selectedPointIds.has(pointId)) {
+            this.setSelection([...this.selectedPointIds].filter(id => id !== pointId));
+        }
+
+        const marker = this.markers.get(pointId);
         if (marker) {
             this.mapManager.getMap().removeLayer(marker);
-            this.markers.delete(this.selectedPointId);
+            this.markers.delete(pointId);
         }
+        this.spatialIndex.remove(pointId);
 
-        // データから削除
-        this.gpsDataManager.removePoint(this.selectedPointId);
+        return this.gpsDataManager.removePoint(pointId);
+    }
 
-        // メッセージ用にポイントIDを保存
-        const deletedPointId = this.selectedPointId;
+    // 元に戻す
+    undo() {
+        if (!this.canChangeHistory()) return;
 
-        // 選択状態をクリア
-        this.selectedMarker = null;
-        this.selectedPointId = null;
-        this.clearPointInfoDisplay();
+        const operation = this.history.takeUndo();
+        if (!operation) {
+            this.showMessage(CONFIG.MESSAGES.NOTHING_TO_UNDO);
+            return;
+        }
+
+        const pointIds = this.applyOperation(operation, true);
+        this.notifyPointsChanged();
+        this.selectAfterHistoryChange(pointIds);
+        this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.UNDO_DONE, {label: operation.label}));
+    }
+
+    // やり直し
+    redo() {
+        if (!this.canChangeHistory()) return;
 
+        const operation = this.history.takeRedo();
+        if (!operation) {
+            this.showMessage(CONFIG.MESSAGES.NOTHING_TO_REDO);
+            return;
+        }
+
+        const pointIds = this.applyOperation(operation, false);
+        this.notifyPointsChanged();
+        this.selectAfterHistoryChange(pointIds);
+        this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.REDO_DONE, {label: operation.label}));
+    }
+
+    // 元に戻す・やり直しで変更されたポイントを選択し、ポイント数等の表示を更新
+    selectAfterHistoryChange(pointIds) {
+        if (pointIds.length === 1) {
+            this.selectPoint(pointIds[0]);
+        } else if (pointIds.length > 1) {
+            this.setSelection(pointIds);
+        }
         this.updatePointCountDisplay();
-        this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.POINT_DELETED, {id: deletedPointId}));
+        this.updateGroupListDisplay();
+    }
+
+    // 記録した操作を取り消し（isUndo=true）または再適用し、マーカーを同期
+    // 戻り値は操作後に存在する変更対象のポイントID
+    applyOperation(operation, isUndo) {
+        switch (operation.type) {
+            case 'add':
+            case 'delete': {
+                // 追加の取り消しと削除の再適用はポイントを削除、それ以外は元の位置に戻す
+                const shouldRemove = (operation.type === 'add') === isUndo;
+                if (shouldRemove) {
+                    this.removePointWithMarker(operation.point.id);
+                    return [];
+                }
+                this.gpsDataManager.insertPoint(operation.point, operation.index);
+                this.addMarkerForPoint(operation.point);
+                return [operation.point.id];
+            }
+            case 'update':
+                return this.applyUpdateOperations([operation], isUndo);
+            case 'batch': {
+                // 複数ポイントの一括操作は記録と逆順に取り消し、連続する値の変更はまとめて適用する
+                // （ID振り直しの一時IDのように途中でのみ使用したIDは除く）
+                const operations = isUndo ? [...operation.operations].reverse() : operation.operations;
+                let pointIds = [];
+                let updates = [];
+                operations.forEach(subOperation => {
+                    if (subOperation.type === 'update') {
+                        updates.push(subOperation);
+                        return;
+                    }
+                    pointIds = pointIds.concat(this.applyUpdateOperations(updates, isUndo), this.applyOperation(subOperation, isUndo));
+                    updates = [];
+                });
+                pointIds = pointIds.concat(this.applyUpdateOperations(updates, isUndo));
+                return [...new Set(pointIds)].filter(pointId => this.markers.has(pointId));
+            }
+            default:
+                console.warn('不明な操作です:', operation.type);
+                return [];
+        }
+    }
+
+    // 記録した値の変更の操作をまとめて取り消し（isUndo=true）または再適用し、変更後のポイントIDを返す
+    applyUpdateOperations(operations, isUndo) {
+        const changes = operations.map(operation => ({
+            id: isUndo ? operation.after.id : operation.before.id,
+            values: isUndo ? operation.before : operation.after
+        }));
+        this.applyPointValuesList(changes);
+        return changes.map(({ values }) => values.id);
+    }
+
+    // ポイントの値を変更し、マーカー（ID、位置、ツールチップ）を同期
+    applyPointValues(pointId, values) {
+        this.applyPointValuesList([{ id: pointId, values }]);
+    }
+
+    // 複数のポイントの値を順に変更し、マーカーを同期（ポイントの検索は1回にまとめる）
+    // changes: [{id, values}, ...]、前の変更で変えたIDを後の変更で指定できる
+    applyPointValuesList(changes) {
+        if (changes.length === 0) return;
+
+        const points = this.gpsDataManager.updatePoints(changes.map(({ id, values }) => ({ id, values: { ...values } })));
+        changes.forEach(({ id, values }, index) => {
+            const point = points[index];
+            const marker = this.markers.get(id);
+            if (!point || !marker) return;
+
+            // 途中で別のIDに変更したポイントもあるため、変更ごとのIDでマーカーを変更
+            const newId = 'id' in values ? values.id : id;
+            if (newId !== id) {
+                this.renameMarker(id, newId);
+            }
+
+            marker.setLatLng([point.lat, point.lng]);
+            this.spatialIndex.insert(newId, point.lat, point.lng);
+        });
+    }
+
+    // ポイントIDの変更に合わせてマーカー、空間インデックス、選択状態のIDを変更
+    renameMarker(oldId, newId) {
+        const marker = this.markers.get(oldId);
+        if (!marker) return;
+
+        this.markers.delete(oldId);
+        this.markers.set(newId, marker);
+        this.spatialIndex.rename(oldId, newId);
+        marker.setTooltipContent(newId);
+
+        if (this.selectedPointIds.has(oldId)) {
+            this.selectedPointIds.delete(oldId);
+            this.selectedPointIds.add(newId);
+        }
+        if (this.selectedPointId === oldId) {
+            this.selectedPointId = newId;
+        }
+    }
+
+    // ポイントIDを変更（重複ID一覧からの変更用、1回の操作として履歴に記録）
+    // renames: [{id, newId}, ...]、変更後のIDが既に使用されている場合はスキップ
+    renamePoints(renames) {
+        // IDごとのポイント数（同じIDのポイントが複数ある場合があるため、件数で使用中かを判定）
+        const idCounts = new Map();
+        this.gpsDataManager.getAllPoints().forEach(point => {
+            idCounts.set(point.id, (idCounts.get(point.id) || 0) + 1);
+        });
+
+        const changes = [];
+        const operations = [];
+        renames.forEach(({ id, newId }) => {
+            if (idCounts.get(newId) || !idCounts.get(id)) return;
+
+            idCounts.set(id, idCounts.get(id) - 1);
+            idCounts.set(newId, 1);
+            changes.push({ id, values: { id: newId } });
+            operations.push({
+                type: 'update',
+                label: `ポイントIDの変更（${id} → ${newId}）`,
+                before: { id },
+                after: { id: newId }
+            });
+        });
+        this.applyPointValuesList(changes);
+
+        if (operations.length === 1) {
+            this.recordOperation(operations[0]);
+        } else if (operations.length > 1) {
+            this.recordOperation({
+                type: 'batch',
+                label: `${operations.length}個のポイントIDの変更`,
+                operations: operations
+            });
+        }
+
+        // 選択中のポイントのIDが変わった場合は表示を更新
+        if (this.selectedPointIds.size === 1) {
+            const point = this.gpsDataManager.getPointById(this.selectedPointId);
+            if (point) {
+                this.updatePointInfoDisplay(point);
+            }
+        }
+
+        return operations.length;
+    }
+
+    // ポイントIDを一括で振り直す（1回の操作として履歴に記録）
+    // renames: [{id, newId}, ...]、対象同士でIDを入れ替える場合があるため、一時IDを経由して2段階で変更する
+    renumberPoints(renames) {
+        const temporaryIds = renames.map((_, index) => `\u0000renumber-${index}`);
+        const changes = [
+            ...renames.map(({ id }, index) => ({ id, newId: temporaryIds[index] })),
+            ...renames.map(({ newId }, index) => ({ id: temporaryIds[index], newId }))
+        ];
+        this.applyPointValuesList(changes.map(({ id, newId }) => ({ id, values: { id: newId } })));
+        const operations = changes.map(({ id, newId }) =>
+            ({ type: 'update', label: 'ポイントIDの変更', before: { id }, after: { id: newId } }));
+
+        if (operations.length > 0) {
+            this.recordOperation({
+                type: 'batch',
+                label: `${renames.length}個のポイントIDの振り直し`,
+                operations: operations
+            });
+        }
+
+        // 選択中のポイントの表示を新しいIDで更新
+        this.setSelection([...this.selectedPointIds], this.selectedPointId);
+        return renames.length;
+    }
+
+    // 近接ポイントの組をそれぞれ1つのポイントに統合（1回の操作として履歴に記録）
+    // merges: [{keepId, removeIds, values: {location, lat, lng, elevation, remarks}}, ...]
+    // keepIdのポイントに選択した値を設定し、removeIdsのポイントは削除する
+    mergePoints(merges) {
+        const operations = [];
+        let mergedCount = 0;
+        merges.forEach(({ keepId, removeIds, values }) => {
+            const point = this.gpsDataManager.getPointById(keepId);
+            if (!point) return;
+
+            const before = { id: keepId };
+            Object.keys(values).forEach(field => {
+                before[field] = point[field];
+            });
+            this.applyPointValues(keepId, values);
+            operations.push({
+                type: 'update',
+                label: `ポイント ${keepId} への統合`,
+                before: before,
+                after: { id: keepId, ...values }
+            });
+
+            removeIds.forEach(pointId => {
+                const index = this.gpsDataManager.getPointIndex(pointId);
+                const removedPoint = this.removePointWithMarker(pointId);
+                if (removedPoint) {
+                    operations.push({ type: 'delete', point: removedPoint, index: index });
+                }
+            });
+            mergedCount++;
+        });
+
+        if (operations.length > 0) {
+            this.recordOperation({
+                type: 'batch',
+                label: mergedCount === 1 ? `ポイント ${merges[0].keepId} への統合` : `${mergedCount}組の近接ポイントの統合`,
+                operations: operations
+            });
+        }
+
+        // 統合後の値で選択中のポイントの表示を更新
+        this.setSelection([...this.selectedPointIds], this.selectedPointId);
+        this.updatePointCountDisplay();
+        this.updateGroupListDisplay();
+        return mergedCount;
+    }
+
+    // 変更後のポイントIDを検証し、使用するIDを返す
+    // 未入力の場合は元のIDに戻し、他のポイントと重複する場合は空いているIDへの変更を提案する（断った場合は元のID）
+    resolveNewPointId(currentId, newId) {
+        if (newId.trim() === '') {
+            this.showMessage(CONFIG.MESSAGES.POINT_ID_REQUIRED);
+            return currentId;
+        }
+        if (!this.gpsDataManager.getPointById(newId)) {
+            return newId;
+        }
+
+        const suggestedId = this.gpsDataManager.suggestUniqueId(newId);
+        if (confirm(DataUtils.formatMessage(CONFIG.MESSAGES.DUPLICATE_POINT_ID_CONFIRM, {id: newId, suggestedId}))) {
+            return suggestedId;
+        }
+        this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.DUPLICATE_POINT_ID, {id: newId}));
+        return currentId;
+    }
+
+    // 操作を履歴に記録し、一覧表・マーカーの表示ルール等を更新（ポイントの変更を適用した後に呼び出す）
+    recordOperation(operation) {
+        this.history.record(operation);
+        this.notifyPointsChanged();
+    }
+
+    // 元に戻す・やり直しボタンの有効・無効を更新
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        if (undoBtn) undoBtn.disabled = !this.history.canUndo();
+        if (redoBtn) redoBtn.disabled = !this.history.canRedo();
+    }
+
+    // 履歴をすべて破棄（ファイル読み込み時）
+    clearHistory() {
+        this.history.clear();
+    }
+
+    // 選択を解除（マーカーの色と情報表示をリセット）
+    clearSelection() {
+        if (this.isMovingPoint) {
+            this.setMovingMode(false);
+            if (this.appInstance && this.appInstance.resetMoveButtonColor) {
+                this.appInstance.resetMoveButtonColor();
+            }
+        }
+        this.setSelection([]);
     }
 
     // 全マーカーを削除
@@ -278,8 +1056,10 @@ export class PointManager {
             this.mapManager.getMap().removeLayer(marker);
         });
         this.markers.clear();
+        this.spatialIndex.clear();
         this.selectedMarker = null;
         this.selectedPointId = null;
+        this.selectedPointIds = new Set();
     }
 
     // ポイント追加モードの設定
@@ -314,6 +1094,7 @@ export class PointManager {
 
     // ポイント情報表示を更新
     updatePointInfoDisplay(point, isNewPoint = false) {
+        this.setMultiEditMode(false);
         const pointIdField = document.getElementById('pointIdField');
         pointIdField.value = point.id;
         document.getElementById('latDecimalField').value = point.lat.toFixed(5);
@@ -326,6 +1107,49 @@ export class PointManager {
         
     }
 
+    // 複数選択時のポイント情報表示（名称・備考はすべて同じ場合のみ値を表示し、一括編集できる）
+    updateMultiSelectionDisplay() {
+        const points = this.gpsDataManager.getPointsByIds(this.selectedPointIds);
+        this.setMultiEditMode(true);
+
+        document.getElementById('pointIdField').placeholder = `${points.length}個選択中`;
+        ['pointIdField', 'latDecimalField', 'lngDecimalField', 'dmsField', 'elevationField'].forEach(fieldId => {
+            document.getElementById(fieldId).value = '';
+        });
+
+        this.multiEditValues = {};
+        [['location', 'locationField'], ['remarks', 'remarksField']].forEach(([field, fieldId]) => {
+            const element = document.getElementById(fieldId);
+            const values = new Set(points.map(point => point[field] || ''));
+            const isMixed = values.size > 1;
+
+            element.value = isMixed ? '' : [...values][0] || '';
+            element.placeholder = isMixed ? '（複数の値）' : element.dataset.placeholder;
+            this.multiEditValues[field] = element.value;
+        });
+    }
+
+    // 複数選択時の表示への切り替え（ポイントID・座標は一括編集できないため無効化）
+    setMultiEditMode(enabled) {
+        ['pointIdField', 'locationField', 'remarksField'].forEach(fieldId => {
+            const element = document.getElementById(fieldId);
+            if (element.dataset.placeholder === undefined) {
+                element.dataset.placeholder = element.placeholder;
+            }
+            if (!enabled) {
+                element.placeholder = element.dataset.placeholder;
+            }
+        });
+        // 座標は1個ずつ入力するため、複数選択時は編集不可
+        ['pointIdField', 'latDecimalField', 'lngDecimalField', 'dmsField'].forEach(fieldId => {
+            document.getElementById(fieldId).disabled = enabled;
+        });
+
+        if (!enabled) {
+            this.multiEditValues = null;
+        }
+    }
+
     // ドラッグ中のリアルタイム座標更新（緯度・経度・DMSのみ）
     updateCoordinateFieldsRealtime(lat, lng) {
         document.getElementById('latDecimalField').value = lat.toFixed(5);
@@ -335,6 +1159,7 @@ export class PointManager {
 
     // ポイント情報表示をクリア
     clearPointInfoDisplay() {
+        this.setMultiEditMode(false);
         document.getElementById('pointIdField').value = '';
         document.getElementById('latDecimalField').value = '';
         document.getElementById('lngDecimalField').value = '';
@@ -354,6 +1179,11 @@ export class PointManager {
     updateSelectedPointInfo() {
         if (!this.selectedPointId) return;
 
+        if (this.selectedPointIds.size > 1) {
+            this.updateSelectedPointsInfo();
+            return;
+        }
+
         const updates = {
             id: document.getElementById('pointIdField').value,
             elevation: document.getElementById('elevationField').value,
@@ -361,17 +1191,117 @@ export class PointManager {
             remarks: document.getElementById('remarksField').value
         };
 
+        // 他のポイントと重複するID・空のIDには変更しない
+        if (updates.id !== this.selectedPointId) {
+            updates.id = this.resolveNewPointId(this.selectedPointId, updates.id);
+            document.getElementById('pointIdField').value = updates.id;
+        }
+
+        // 変更された項目のみ履歴に記録
+        const currentPoint = this.gpsDataManager.getPointById(this.selectedPointId);
+        if (!currentPoint) return;
+        const before = { id: currentPoint.id };
+        const after = { id: updates.id };
+        ['elevation', 'location', 'remarks'].forEach(field => {
+            const value = field === 'elevation' ? DataUtils.normalizeElevation(updates[field]) : updates[field];
+            if ((currentPoint[field] || '') !== value) {
+                before[field] = currentPoint[field];
+                after[field] = value;
+            }
+        });
+
         this.gpsDataManager.updatePoint(this.selectedPointId, updates);
         
-        // IDが変更された場合、マーカーのマップを更新
+        // IDが変更された場合、マーカーのマップとツールチップを更新
         if (updates.id !== this.selectedPointId) {
-            const marker = this.markers.get(this.selectedPointId);
-            this.markers.delete(this.selectedPointId);
-            this.markers.set(updates.id, marker);
-            this.selectedPointId = updates.id;
-            
-            // ツールチップを更新
-            marker.setTooltipContent(updates.id);
+            this.renameMarker(this.selectedPointId, updates.id);
+        }
+
+        if (before.id !== after.id || Object.keys(after).length > 1) {
+            this.recordOperation({
+                type: 'update',
+                label: before.id !== after.id
+                    ? `ポイントIDの変更（${before.id} → ${after.id}）`
+                    : `ポイント ${after.id} の編集`,
+                before: before,
+                after: after
+            });
+        }
+    }
+
+    // 指定したポイントの値を変更（一覧表での編集用、1回の操作として履歴に記録）
+    // IDが他のポイントと重複する・空の場合はIDを変更しない。変更した場合はtrueを返す
+    editPoint(pointId, values) {
+        const point = this.gpsDataManager.getPointById(pointId);
+        if (!point) return false;
+
+        const before = { id: pointId };
+        const after = { id: 'id' in values ? this.resolveNewPointId(pointId, values.id) : pointId };
+        Object.keys(values).filter(field => field !== 'id').forEach(field => {
+            if ((point[field] || '') !== values[field]) {
+                before[field] = point[field];
+                after[field] = values[field];
+            }
+        });
+        if (before.id === after.id && Object.keys(after).length === 1) return false;
+
+        this.applyPointValues(pointId, after);
+        this.recordOperation({
+            type: 'update',
+            label: before.id !== after.id
+                ? `ポイントIDの変更（${before.id} → ${after.id}）`
+                : `ポイント ${after.id} の編集`,
+            before: before,
+            after: after
+        });
+
+        // 選択中のポイントの場合は情報表示を更新
+        if (this.selectedPointIds.has(after.id)) {
+            this.setSelection([...this.selectedPointIds], this.selectedPointId);
+        }
+        return true;
+    }
+
+    // 複数選択中のポイントの名称・備考を一括更新（変更された項目のみ、1回の操作として履歴に記録）
+    updateSelectedPointsInfo() {
+        if (!this.multiEditValues) return;
+
+        const values = {
+            location: document.getElementById('locationField').value,
+            remarks: document.getElementById('remarksField').value
+        };
+        const changedFields = Object.keys(values).filter(field => values[field] !== this.multiEditValues[field]);
+        if (changedFields.length === 0) return;
+
+        const operations = [];
+        this.gpsDataManager.getPointsByIds(this.selectedPointIds).forEach(point => {
+            const before = { id: point.id };
+            const after = { id: point.id };
+            changedFields.forEach(field => {
+                if ((point[field] || '') !== values[field]) {
+                    before[field] = point[field];
+                    after[field] = values[field];
+                }
+            });
+            if (Object.keys(after).length > 1) {
+                this.gpsDataManager.updatePoint(point.id, { ...after });
+                operations.push({ type: 'update', before: before, after: after });
+            }
+        });
+
+        changedFields.forEach(field => {
+            this.multiEditValues[field] = values[field];
+            document.getElementById(`${field}Field`).placeholder = document.getElementById(`${field}Field`).dataset.placeholder;
+        });
+
+        if (operations.length > 0) {
+            this.recordOperation({
+                type: 'batch',
+                label: `${operations.length}個のポイントの編集`,
+                operations: operations
+            });
+            const fieldNames = changedFields.map(field => CONFIG.COLUMN_HEADERS[field]).join('・');
+            this.showMessage(`${operations.length}個のポイントの${fieldNames}を変更しました`);
         }
     }
 
@@ -404,23 +1334,185 @@ export class PointManager {
         this.isDragging = true;
         this.draggingMarker = marker;
         this.draggingPointId = pointId;
+        this.dragStartLatLng = marker.getLatLng();
+
+        // 選択中のすべてのポイントをまとめて移動する
+        this.dragStartValues = new Map();
+        this.gpsDataManager.getPointsByIds(this.selectedPointIds).forEach(point => {
+            this.dragStartValues.set(point.id, { id: point.id, lat: point.lat, lng: point.lng, elevation: point.elevation });
+        });
+
         this.mapManager.getMap().dragging.disable();
         document.body.style.cursor = 'grabbing';
     }
     
+    // ドラッグ中のマーカーをカーソル位置へ、他の選択中のマーカーは同じだけずらして移動
+    moveDraggingMarkers(latlng) {
+        const deltaLat = latlng.lat - this.dragStartLatLng.lat;
+        const deltaLng = latlng.lng - this.dragStartLatLng.lng;
+
+        this.dragStartValues.forEach((start, pointId) => {
+            const marker = this.markers.get(pointId);
+            if (marker) {
+                marker.setLatLng([start.lat + deltaLat, start.lng + deltaLng]);
+            }
+        });
+
+        this.labels.update();
+
+        // 単独移動時はリアルタイムで座標情報を更新
+        if (this.dragStartValues.size === 1) {
+            this.updateCoordinateFieldsRealtime(latlng.lat, latlng.lng);
+        }
+    }
+
+    // 移動したポイントの標高を再取得し、移動前の座標・標高に戻せるよう履歴に記録（ドラッグ・キー操作の移動用）
+    // startValues: pointId -> 移動前の {id, lat, lng, elevation}
+    async recordMovedPoints(pointIds, startValues) {
+        this.warnNearbyPoints(pointIds);
+
+        // 移動は座標で直ちに記録し、標高は取得後に同じ操作の変更後の値へ反映する
+        const points = this.gpsDataManager.getPointsByIds(pointIds);
+        const operations = points.map(point => ({
+            type: 'update',
+            label: `ポイント ${point.id} の移動`,
+            before: startValues.get(point.id),
+            after: { id: point.id, lat: point.lat, lng: point.lng, elevation: point.elevation }
+        }));
+        if (operations.length === 1) {
+            this.recordOperation(operations[0]);
+        } else if (operations.length > 1) {
+            this.recordOperation({
+                type: 'batch',
+                label: `${operations.length}個のポイントの移動`,
+                operations: operations
+            });
+        }
+
+        await this.updateMovedElevations(points.map((point, index) => ({ point, after: operations[index].after })));
+    }
+
+    // 移動したポイントのGPS標高を再取得し、記録済みの移動操作の変更後の標高も更新（APIへの同時アクセスを避けるため1件ずつ）
+    // moves: [{point, after}, ...]（afterは記録した操作の変更後の値）
+    async updateMovedElevations(moves) {
+        this.pendingElevationCount++;
+        try {
+            for (const { point, after } of moves) {
+                await this.fetchAndUpdateElevationAfterDrag(point.id, point.lat, point.lng);
+                after.elevation = point.elevation;
+            }
+        } finally {
+            this.pendingElevationCount--;
+        }
+    }
+
+    // 元に戻す・やり直しを行えるか（ドラッグ・矢印キーによる移動の確定前、移動後の標高の取得中は不可）
+    canChangeHistory() {
+        if (this.isDragging || this.nudgeStartValues) return false;
+        if (this.pendingElevationCount > 0) {
+            this.showMessage(CONFIG.MESSAGES.ELEVATION_UPDATE_PENDING);
+            return false;
+        }
+        return true;
+    }
+
+    // 選択中のポイントを画面上のピクセル数だけ移動（矢印キー用）
+    // キーを続けて押す間はマーカーのみ移動し、一定時間押されなかった時点（またはEnterキー）で確定して標高を再取得
+    nudgeSelectedPoints(dx, dy) {
+        if (this.isDragging || this.selectedPointIds.size === 0) return;
+
+        // 前回のキー操作から選択が変わった場合は、前回の移動を確定してから開始
+        const isSameTarget = this.nudgeStartValues && this.nudgeStartValues.size === this.selectedPointIds.size &&
+            [...this.selectedPointIds].every(pointId => this.nudgeStartValues.has(pointId));
+        if (this.nudgeStartValues && !isSameTarget) {
+            this.commitNudge();
+        }
+
+        const map = this.mapManager.getMap();
+        const zoom = map.getZoom();
+        if (!this.nudgeStartValues) {
+            this.nudgeStartValues = new Map(this.gpsDataManager.getPointsByIds(this.selectedPointIds).map(point => [
+                point.id,
+                { id: point.id, lat: point.lat, lng: point.lng, elevation: point.elevation }
+            ]));
+        }
+
+        this.nudgeStartValues.forEach((_, pointId) => {
+            const marker = this.markers.get(pointId);
+            const latlng = map.unproject(map.project(marker.getLatLng(), zoom).add([dx, dy]), zoom);
+            marker.setLatLng(latlng);
+            this.gpsDataManager.updatePoint(pointId, { lat: latlng.lat, lng: latlng.lng });
+            this.spatialIndex.insert(pointId, latlng.lat, latlng.lng);
+        });
+        this.labels.update();
+
+        if (this.nudgeStartValues.size === 1) {
+            const point = this.gpsDataManager.getPointById(this.selectedPointId);
+            this.updateCoordinateFieldsRealtime(point.lat, point.lng);
+        }
+
+        clearTimeout(this.nudgeTimer);
+        this.nudgeTimer = setTimeout(() => this.commitNudge(), CONFIG.NUDGE_COMMIT_DELAY);
+    }
+
+    // 矢印キーによる移動を確定
+    async commitNudge() {
+        if (!this.nudgeStartValues) return;
+
+        clearTimeout(this.nudgeTimer);
+        const startValues = this.nudgeStartValues;
+        this.nudgeStartValues = null;
+
+        const pointIds = [...startValues.keys()].filter(pointId => this.markers.has(pointId));
+        this.showMessage(pointIds.length === 1
+            ? DataUtils.formatMessage(CONFIG.MESSAGES.POINT_MOVED, {id: pointIds[0]})
+            : DataUtils.formatMessage(CONFIG.MESSAGES.POINTS_MOVED, {count: pointIds.length}));
+        await this.recordMovedPoints(pointIds, startValues);
+    }
+
+    // ID順で前後のポイントを選択し、地図をそのポイントに移動（step: 1で次、-1で前、端では反対側に戻る）
+    // 非表示のグループのポイントは対象外
+    selectAdjacentPoint(step) {
+        const points = this.gpsDataManager.getAllPoints()
+            .filter(point => this.isPointVisible(point))
+            .sort((a, b) => a.id.localeCompare(b.id, 'ja', { numeric: true }));
+        if (points.length === 0) return;
+
+        const currentIndex = points.findIndex(point => point.id === this.selectedPointId);
+        const nextIndex = currentIndex === -1
+            ? (step > 0 ? 0 : points.length - 1)
+            : (currentIndex + step + points.length) % points.length;
+        const point = points[nextIndex];
+
+        this.selectPoint(point.id);
+        this.mapManager.getMap().panTo([point.lat, point.lng]);
+    }
+
     // ドラッグ終了
     async stopDragging() {
         if (this.isDragging && this.draggingMarker && this.draggingPointId) {
-            const newLatLng = this.draggingMarker.getLatLng();
-            this.updatePointPosition(this.draggingPointId, newLatLng.lat, newLatLng.lng);
+            const pointIds = [...this.dragStartValues.keys()];
+
+            if (pointIds.length === 1) {
+                const newLatLng = this.draggingMarker.getLatLng();
+                this.updatePointPosition(this.draggingPointId, newLatLng.lat, newLatLng.lng);
+            } else {
+                pointIds.forEach(pointId => {
+                    const newLatLng = this.markers.get(pointId).getLatLng();
+                    this.gpsDataManager.updatePoint(pointId, { lat: newLatLng.lat, lng: newLatLng.lng });
+                    this.spatialIndex.insert(pointId, newLatLng.lat, newLatLng.lng);
+                });
+                this.showMessage(DataUtils.formatMessage(CONFIG.MESSAGES.POINTS_MOVED, {count: pointIds.length}));
+            }
             
-            // GPS標高を再取得して更新
-            await this.fetchAndUpdateElevationAfterDrag(this.draggingPointId, newLatLng.lat, newLatLng.lng);
+            const startValues = this.dragStartValues;
             
-            // 状態をリセット
+            // 標高の取得中にマウス移動・マウスアップでマーカーが動かないよう、取得の前に状態をリセット
             this.isDragging = false;
             this.draggingMarker = null;
             this.draggingPointId = null;
+            this.dragStartValues = null;
+            this.dragStartLatLng = null;
             this.mapManager.getMap().dragging.enable();
             
             // 移動モードを解除
@@ -430,6 +1522,8 @@ export class PointManager {
             }
             
             document.body.style.cursor = 'default';
+
+            await this.recordMovedPoints(pointIds, startValues);
         }
     }
 
@@ -0,0 +1,172 @@
+import { SpatialIndex } from './spatial-index.js';
+
+/**
+ * ポイントの並び順（ID振り直し用）
+ * 距離の比較は緯度経度を平面（メートル相当）に投影して行う
+ */
+export class PointOrder {
+    /**
+     * 指定した並び順にポイントを並べ替える（元の配列は変更しない）
+     * @param {Array<Object>} points - 一覧の順のポイント
+     * @param {string} order - 'path' | 'nearest' | 'westEast' | 'northSouth' | 'list'
+     * @param {{startPointId: string, path: Array<{lat: number, lng: number}>}} options - 最近傍順の開始ポイント、経路の座標
+     * @returns {Array<Object>} 並べ替えたポイント
+     */
+    static sort(points, order, options = {}) {
+        switch (order) {
+            case 'path':
+                return this.sortAlongPath(points, options.path);
+            case 'nearest':
+                return this.sortByNearestNeighbor(points, options.startPointId);
+            case 'westEast':
+                return [...points].sort((a, b) => a.lng - b.lng || b.lat - a.lat);
+            case 'northSouth':
+                return [...points].sort((a, b) => b.lat - a.lat || a.lng - b.lng);
+            case 'list':
+                return [...points];
+            default:
+                throw new Error(`不明な並び順です: ${order}`);
+        }
+    }
+
+    /**
+     * 緯度経度を平面座標（メートル相当）に変換する関数を作成
+     * @param {Array<{lat: number}>} points - 基準緯度（経度方向の縮尺）を決めるポイント
+     * @returns {Function} ({lat, lng}) => {x, y}
+     */
+    static createProjection(points) {
+        const meanLat = points.reduce((sum, point) => sum + point.lat, 0) / Math.max(points.length, 1);
+        const scaleX = 111320 * Math.cos(meanLat * Math.PI / 180);
+        const scaleY = 110540;
+        return ({ lat, lng }) => ({ x: lng * scaleX, y: lat * scaleY });
+    }
+
+    /**
+     * 開始ポイントから、未訪問の最も近いポイントを順にたどる
+     * 未訪問のポイントを平面座標の空間インデックスに登録し、現在のポイントの周囲を広げながら検索する
+     * @param {Array<Object>} points - ポイント
+     * @param {string} startPointId - 開始ポイントのID（見つからない場合は先頭のポイント）
+     * @returns {Array<Object>} 並べ替えたポイント
+     */
+    static sortByNearestNeighbor(points, startPointId) {
+        if (points.length === 0) return [];
+
+        const project = this.createProjection(points);
+        const entries = points.map(point => ({ point, ...project(point) }));
+
+        // 格子の大きさはポイントの平均的な間隔（範囲の面積 / 件数）に合わせる
+        const bounds = entries.reduce((result, { x, y }) => ({
+            minX: Math.min(result.minX, x),
+            minY: Math.min(result.minY, y),
+            maxX: Math.max(result.maxX, x),
+            maxY: Math.max(result.maxY, y)
+        }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+        const diagonal = Math.hypot(width, height);
+        const spacing = Math.max(Math.sqrt(width * height / points.length), diagonal / points.length, 1);
+
+        // IDが重複している場合があるため、配列の番号で登録（緯度・経度の代わりに平面座標を使用）
+        const index = new SpatialIndex(spacing);
+        const remaining = new Set();
+        entries.forEach(({ x, y }, i) => {
+            index.insert(i, y, x);
+            remaining.add(i);
+        });
+
+        const visit = i => {
+            index.remove(i);
+            remaining.delete(i);
+            return entries[i];
+        };
+
+        // 候補のうち最も近いものを取得
+        const findNearest = (current, candidates) => {
+            let nearest = null;
+            candidates.forEach(i => {
+                const distance = Math.hypot(entries[i].x - current.x, entries[i].y - current.y);
+                if (!nearest || distance < nearest.distance) {
+                    nearest = { i, distance };
+                }
+            });
+            return nearest;
+        };
+
+        const startIndex = Math.max(points.findIndex(point => point.id === startPointId), 0);
+        let current = visit(startIndex);
+        const result = [current.point];
+        while (remaining.size > 0) {
+            // 半径rの正方形内で見つかった最も近いポイントが半径r以内であれば、それが全体で最も近い
+            // 範囲全体まで広げた場合は、格子を順に調べるより未訪問のポイントを直接調べる
+            let radius = spacing;
+            let nearest = null;
+            while (!nearest) {
+                const isWholeRange = radius > spacing && radius >= diagonal;
+                const candidates = isWholeRange
+                    ? remaining
+                    : index.search(current.y - radius, current.x - radius, current.y + radius, current.x + radius);
+                const candidate = findNearest(current, candidates);
+                if (candidate && (isWholeRange || candidate.distance <= radius)) {
+                    nearest = candidate;
+                } else {
+                    // 見つかったポイントより近いものは、その距離を半径とする範囲内にある
+                    radius = candidate ? candidate.distance : radius * 2;
+                }
+            }
+
+            current = visit(nearest.i);
+            result.push(current.point);
+        }
+
+        return result;
+    }
+
+    /**
+     * 経路に沿った順に並べ替える
+     * 各ポイントを最も近い経路上の位置に投影し、経路の始点からの距離順（同じ位置の場合は経路に近い順）とする
+     * @param {Array<Object>} points - ポイント
+     * @param {Array<{lat: number, lng: number}>} path - 経路の座標（2点以上）
+     * @returns {Array<Object>} 並べ替えたポイント
+     */
+    static sortAlongPath(points, path) {
+        if (!path || path.length < 2) {
+            throw new Error('並び順に使用する経路を描いてください');
+        }
+
+        const project = this.createProjection(path);
+        const vertices = path.map(project);
+
+        // 各区間の始点までの経路上の距離
+        const segments = [];
+        let totalLength = 0;
+        for (let i = 0; i < vertices.length - 1; i++) {
+            const start = vertices[i];
+            const end = vertices[i + 1];
+            const length = Math.hypot(end.x - start.x, end.y - start.y);
+            segments.push({ start, end, length, offset: totalLength });
+            totalLength += length;
+        }
+
+        const keyed = points.map(point => {
+            const { x, y } = project(point);
+            let best = { position: 0, distance: Infinity };
+
+            segments.forEach(({ start, end, length, offset }) => {
+                const dx = end.x - start.x;
+                const dy = end.y - start.y;
+                const ratio = length > 0
+                    ? Math.min(Math.max(((x - start.x) * dx + (y - start.y) * dy) / (length * length), 0), 1)
+                    : 0;
+                const distance = Math.hypot(x - (start.x + ratio * dx), y - (start.y + ratio * dy));
+                if (distance < best.distance) {
+                    best = { position: offset + ratio * length, distance };
+                }
+            });
+
+            return { point, ...best };
+        });
+
+        keyed.sort((a, b) => a.position - b.position || a.distance - b.distance);
+        return keyed.map(entry => entry.point);
+    }
+}
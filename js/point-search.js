@@ -0,0 +1,134 @@
+// ポイント検索欄（ポイントID・名称の入力に合わせて候補を表示し、選択したポイントへ移動、座標の入力はその位置へ移動）
+import { CONFIG } from './config.js';
+import { DataUtils } from './data-utils.js';
+
+export class PointSearch {
+    /**
+     * @param {Function} searchPoints - ポイントの検索処理 searchPoints(keyword, limit) => Array<{point, field}>
+     * @param {{onSelectPoint: Function, onJumpTo: Function}} handlers - ポイントの選択 onSelectPoint(pointId)、
+     *        座標への移動 onJumpTo(latlng, inputValue)（latlngはDataUtils.parseLatLngPairの結果）
+     */
+    constructor(searchPoints, handlers) {
+        this.searchPoints = searchPoints;
+        this.handlers = handlers;
+
+        this.field = document.getElementById('pointSearchField');
+        this.resultList = document.getElementById('pointSearchResults');
+
+        this.results = []; // 表示中の候補 {label, action}
+        this.activeIndex = -1; // キー操作で選択中の候補
+
+        this.initEventHandlers();
+    }
+
+    // イベントハンドラーを初期化
+    initEventHandlers() {
+        this.field.addEventListener('input', () => this.updateResults());
+        this.field.addEventListener('focus', () => this.updateResults());
+
+        this.field.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (this.results.length === 0) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.setActiveIndex((this.activeIndex + step + this.results.length) % this.results.length);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.choose(Math.max(this.activeIndex, 0));
+            } else if (e.key === 'Escape') {
+                // 地図側のEscキー（選択解除）を発生させない
+                e.stopPropagation();
+                this.hideResults();
+                this.field.blur();
+            }
+        });
+
+        // 候補のクリックより先に閉じないよう、フォーカスが外れた後に遅らせて閉じる
+        this.field.addEventListener('blur', () => {
+            setTimeout(() => this.hideResults(), 200);
+        });
+
+        // 候補をクリックしても入力欄のフォーカスを外さない
+        this.resultList.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+        });
+    }
+
+    // 入力値から候補を作成して表示（座標として解釈できる場合は先頭に座標への移動）
+    updateResults() {
+        const keyword = this.field.value.trim();
+        this.results = [];
+
+        if (keyword !== '') {
+            const latlng = DataUtils.parseLatLngPair(keyword);
+            if (!('error' in latlng)) {
+                this.results.push({
+                    label: `座標 ${latlng.lat.toFixed(6)}, ${latlng.lng.toFixed(6)} へ移動`,
+                    action: () => this.handlers.onJumpTo(latlng, keyword)
+                });
+            }
+
+            this.searchPoints(keyword, CONFIG.POINT_SEARCH_MAX_RESULTS).forEach(({ point, field }) => {
+                const location = point.location ? `（${point.location}）` : '';
+                this.results.push({
+                    label: field === 'location' ? `${point.location}（${point.id}）` : `${point.id}${location}`,
+                    action: () => this.handlers.onSelectPoint(point.id)
+                });
+            });
+        }
+
+        this.render();
+    }
+
+    // 候補の一覧を表示
+    render() {
+        this.resultList.innerHTML = '';
+        this.activeIndex = -1;
+
+        const keyword = this.field.value.trim();
+        if (keyword === '') {
+            this.hideResults();
+            return;
+        }
+
+        if (this.results.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'point-search-empty';
+            item.textContent = '一致するポイントがありません';
+            this.resultList.appendChild(item);
+        }
+        this.results.forEach((result, index) => {
+            const item = document.createElement('li');
+            item.className = 'point-search-item';
+            item.setAttribute('role', 'option');
+            item.textContent = result.label;
+            item.addEventListener('click', () => this.choose(index));
+            this.resultList.appendChild(item);
+        });
+        this.resultList.style.display = 'block';
+    }
+
+    // キー操作で選択中の候補を設定
+    setActiveIndex(index) {
+        this.activeIndex = index;
+        [...this.resultList.children].forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            if (i === index) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    // 候補を選択して実行
+    choose(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        this.hideResults();
+        result.action();
+    }
+
+    hideResults() {
+        this.resultList.style.display = 'none';
+    }
+}
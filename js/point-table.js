@@ -0,0 +1,299 @@
+// ポイント一覧表管理クラス
+// 数万件でも軽快に動作するよう、表示範囲の行のみ描画する
+import { CONFIG } from './config.js';
+import { DataUtils } from './data-utils.js';
+import { ElevationAPI } from './elevation-api.js';
+
+// 一覧表の列（editable: ダブルクリックで編集できる列）
+const TABLE_COLUMNS = [
+    { field: 'id', editable: true },
+    { field: 'location', editable: true },
+    { field: 'lat', editable: false },
+    { field: 'lng', editable: false },
+    { field: 'elevation', editable: false },
+    { field: 'remarks', editable: true }
+];
+
+// 数値として並べ替える列
+const NUMERIC_FIELDS = new Set(['lat', 'lng', 'elevation']);
+
+export class PointTable {
+    /**
+     * @param {GPSDataManager} gpsDataManager - GPSデータ管理
+     * @param {{onRowClick: Function, onEdit: Function}} handlers - 行クリック時の処理 onRowClick(pointId, shiftKey)、
+     *        セル編集時の処理 onEdit(pointId, field, value)
+     */
+    constructor(gpsDataManager, handlers) {
+        this.gpsDataManager = gpsDataManager;
+        this.handlers = handlers;
+
+        this.panel = document.getElementById('pointTablePanel');
+        this.container = document.getElementById('pointTableContainer');
+        this.table = document.getElementById('pointTable');
+        this.searchField = document.getElementById('pointTableSearch');
+        this.filterSelect = document.getElementById('pointTableFilter');
+        this.countLabel = document.getElementById('pointTableCount');
+
+        this.rows = []; // 検索・絞り込み・並べ替え後のポイント
+        this.sortField = null; // 並べ替えの列（nullの場合は一覧の順）
+        this.sortAscending = true;
+        this.selectedIds = new Set();
+        this.primaryId = null;
+        this.editingCell = null; // 編集中のセル
+
+        this.initTable();
+        this.initEventHandlers();
+    }
+
+    // 見出し行と本体を作成
+    initTable() {
+        const headerTr = this.table.createTHead().insertRow();
+        this.headerCells = TABLE_COLUMNS.map(({ field }) => {
+            const th = document.createElement('th');
+            th.dataset.field = field;
+            th.title = 'クリックで並べ替え';
+            headerTr.appendChild(th);
+            return th;
+        });
+        this.tbody = this.table.createTBody();
+        this.updateHeaderLabels();
+    }
+
+    // イベントハンドラーを初期化
+    initEventHandlers() {
+        this.searchField.addEventListener('input', () => this.refresh());
+        this.filterSelect.addEventListener('change', () => this.refresh());
+        this.container.addEventListener('scroll', () => this.render());
+
+        document.getElementById('pointTableCloseBtn').addEventListener('click', () => {
+            this.hide();
+        });
+
+        // 見出しのクリックで並べ替え（同じ列は昇順・降順を切り替え）
+        this.table.tHead.addEventListener('click', (e) => {
+            const th = e.target.closest('th');
+            if (!th) return;
+
+            if (this.sortField === th.dataset.field) {
+                this.sortAscending = !this.sortAscending;
+            } else {
+                this.sortField = th.dataset.field;
+                this.sortAscending = true;
+            }
+            this.updateHeaderLabels();
+            this.refresh();
+        });
+
+        // 行のクリックでポイントを選択、ダブルクリックでセルを編集
+        this.tbody.addEventListener('click', (e) => {
+            const tr = e.target.closest('tr');
+            if (!tr || !tr.dataset.pointId || e.target.tagName === 'INPUT') return;
+            this.handlers.onRowClick(tr.dataset.pointId, e.shiftKey);
+        });
+
+        this.tbody.addEventListener('dblclick', (e) => {
+            const td = e.target.closest('td');
+            const tr = e.target.closest('tr');
+            if (!td || !tr || !tr.dataset.pointId || !td.dataset.field) return;
+
+            const column = TABLE_COLUMNS.find(({ field }) => field === td.dataset.field);
+            if (column && column.editable) {
+                this.startEdit(td, tr.dataset.pointId, column.field);
+            }
+        });
+    }
+
+    // 一覧表の表示・非表示を切り替え
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.panel.style.display = 'flex';
+        this.refresh();
+        this.scrollToPoint(this.primaryId);
+    }
+
+    hide() {
+        this.panel.style.display = 'none';
+    }
+
+    isVisible() {
+        return this.panel.style.display !== 'none';
+    }
+
+    // ポイントの変更を反映（非表示中は次に表示するときに反映）
+    refresh() {
+        if (!this.isVisible()) return;
+
+        const keyword = DataUtils.convertFullWidthToHalfWidth(this.searchField.value.trim());
+        const filter = this.filterSelect.value;
+
+        this.rows = this.gpsDataManager.getAllPoints().filter(point => {
+            if (filter === 'missingElevation' && !ElevationAPI.needsElevationFromAPI(point.elevation)) return false;
+            if (filter === 'temporaryId' && !this.gpsDataManager.isTemporaryId(point.id)) return false;
+            if (filter === 'selected' && !this.selectedIds.has(point.id)) return false;
+            if (keyword === '') return true;
+
+            return [point.id, point.location, point.remarks].some(value =>
+                DataUtils.convertFullWidthToHalfWidth(String(value || '')).includes(keyword));
+        });
+
+        if (this.sortField) {
+            this.rows.sort((a, b) => this.compareValues(a[this.sortField], b[this.sortField]));
+        }
+
+        this.countLabel.textContent = `${this.rows.length} / ${this.gpsDataManager.getPointCount()}件`;
+        this.render();
+    }
+
+    // 並べ替え用の比較（数値の列は数値で比較し、空欄は昇順・降順とも末尾）
+    compareValues(a, b) {
+        const isNumeric = NUMERIC_FIELDS.has(this.sortField);
+        const isBlankA = isNumeric ? isNaN(parseFloat(a)) : !a;
+        const isBlankB = isNumeric ? isNaN(parseFloat(b)) : !b;
+        if (isBlankA || isBlankB) {
+            return (isBlankA ? 1 : 0) - (isBlankB ? 1 : 0);
+        }
+
+        const result = isNumeric
+            ? parseFloat(a) - parseFloat(b)
+            : String(a).localeCompare(String(b), 'ja', { numeric: true });
+        return this.sortAscending ? result : -result;
+    }
+
+    // 見出しに並べ替えの向きを表示
+    updateHeaderLabels() {
+        this.headerCells.forEach(th => {
+            const field = th.dataset.field;
+            const mark = field === this.sortField ? (this.sortAscending ? ' ▲' : ' ▼') : '';
+            th.textContent = `${CONFIG.COLUMN_HEADERS[field]}${mark}`;
+        });
+    }
+
+    // スクロール位置に表示される行のみ描画（上下は空の行で高さを確保）
+    render() {
+        if (this.editingCell) return;
+
+        const rowHeight = CONFIG.POINT_TABLE_ROW_HEIGHT;
+        const first = Math.max(Math.floor(this.container.scrollTop / rowHeight) - CONFIG.POINT_TABLE_OVERSCAN_ROWS, 0);
+        const visibleCount = Math.ceil(this.container.clientHeight / rowHeight) + CONFIG.POINT_TABLE_OVERSCAN_ROWS * 2;
+        const last = Math.min(first + visibleCount, this.rows.length);
+
+        this.tbody.innerHTML = '';
+        this.addSpacerRow(first * rowHeight);
+
+        for (let i = first; i < last; i++) {
+            const point = this.rows[i];
+            const tr = this.tbody.insertRow();
+            tr.dataset.pointId = point.id;
+            tr.style.height = `${rowHeight}px`;
+            if (this.selectedIds.has(point.id)) {
+                tr.className = point.id === this.primaryId ? 'point-table-primary' : 'point-table-selected';
+            }
+
+            TABLE_COLUMNS.forEach(({ field }) => {
+                const td = tr.insertCell();
+                td.dataset.field = field;
+                td.textContent = this.formatCellValue(point, field);
+            });
+        }
+
+        this.addSpacerRow((this.rows.length - last) * rowHeight);
+    }
+
+    addSpacerRow(height) {
+        if (height <= 0) return;
+        const td = this.tbody.insertRow().insertCell();
+        td.colSpan = TABLE_COLUMNS.length;
+        td.className = 'point-table-spacer';
+        td.style.height = `${height}px`;
+    }
+
+    formatCellValue(point, field) {
+        if (field === 'lat' || field === 'lng') {
+            return point[field].toFixed(5);
+        }
+        return point[field] || '';
+    }
+
+    /**
+     * 選択中のポイントを強調表示し、主に選択しているポイントの行が見えるようにスクロール
+     * @param {Set<string>} pointIds - 選択中のポイントID
+     * @param {string|null} primaryId - 主に選択しているポイントID
+     */
+    setSelection(pointIds, primaryId) {
+        this.selectedIds = new Set(pointIds);
+        this.primaryId = primaryId;
+        if (!this.isVisible()) return;
+
+        if (this.filterSelect.value === 'selected') {
+            this.refresh();
+        } else {
+            this.render();
+        }
+        this.scrollToPoint(primaryId);
+    }
+
+    // 行が表示範囲外の場合はスクロール
+    scrollToPoint(pointId) {
+        if (!pointId) return;
+
+        const index = this.rows.findIndex(point => point.id === pointId);
+        if (index === -1) return;
+
+        const rowHeight = CONFIG.POINT_TABLE_ROW_HEIGHT;
+        const headerHeight = this.table.tHead.offsetHeight || rowHeight;
+        const rowTop = index * rowHeight;
+        const viewHeight = this.container.clientHeight - headerHeight;
+
+        if (rowTop < this.container.scrollTop) {
+            this.container.scrollTop = rowTop;
+        } else if (rowTop + rowHeight > this.container.scrollTop + viewHeight) {
+            this.container.scrollTop = rowTop + rowHeight - viewHeight;
+        }
+        this.render();
+    }
+
+    // セルを入力欄に切り替えて編集（Enter・フォーカスアウトで確定、Escで取り消し）
+    startEdit(td, pointId, field) {
+        const point = this.gpsDataManager.getPointById(pointId);
+        if (!point) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'point-table-input';
+        input.value = point[field] || '';
+        td.textContent = '';
+        td.appendChild(input);
+        this.editingCell = td;
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (accepted) => {
+            if (finished) return;
+            finished = true;
+            this.editingCell = null;
+
+            if (accepted && input.value !== (point[field] || '')) {
+                this.handlers.onEdit(pointId, field, input.value);
+            }
+            this.render();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+}
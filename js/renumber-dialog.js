@@ -0,0 +1,143 @@
+// ポイントID振り直しダイアログ管理クラス
+import { CONFIG } from './config.js';
+
+export class RenumberDialog {
+    /**
+     * @param {Function} buildPreview - 振り直しのプレビューを作成する処理 buildPreview(options) => [{point, newId}, ...]
+     * @param {Function} drawPath - 地図上に経路を描く処理 drawPath() => Promise<経路の座標|null>
+     */
+    constructor(buildPreview, drawPath) {
+        this.dialog = document.getElementById('renumberDialog');
+        this.targetSelect = document.getElementById('renumberTargetSelect');
+        this.prefixField = document.getElementById('renumberPrefixField');
+        this.startNumberField = document.getElementById('renumberStartNumberField');
+        this.orderSelect = document.getElementById('renumberOrderSelect');
+        this.startPointField = document.getElementById('renumberStartPointField');
+        this.drawPathButton = document.getElementById('renumberDrawPathBtn');
+        this.pathStatus = document.getElementById('renumberPathStatus');
+        this.summary = document.getElementById('renumberSummary');
+        this.table = document.getElementById('renumberPreviewTable');
+        this.okButton = document.getElementById('renumberOkBtn');
+        this.buildPreview = buildPreview;
+        this.drawPath = drawPath;
+
+        this.selectedIds = [];
+        this.path = null; // 描いた経路
+        this.entries = []; // 表示中のプレビュー
+        this.resolve = null; // 表示中のダイアログの結果を返す関数
+
+        this.initEventHandlers();
+    }
+
+    // イベントハンドラーを初期化
+    initEventHandlers() {
+        this.okButton.addEventListener('click', () => {
+            this.close(this.entries
+                .filter(({ point, newId }) => point.id !== newId)
+                .map(({ point, newId }) => ({ id: point.id, newId })));
+        });
+
+        document.getElementById('renumberCancelBtn').addEventListener('click', () => {
+            this.close(null);
+        });
+
+        [this.targetSelect, this.prefixField, this.startNumberField, this.orderSelect, this.startPointField]
+            .forEach(field => {
+                field.addEventListener('change', () => this.updatePreview());
+            });
+
+        // 経路を描く間はダイアログを隠す
+        this.drawPathButton.addEventListener('click', async () => {
+            this.dialog.style.display = 'none';
+            this.path = await this.drawPath();
+            this.dialog.style.display = 'flex';
+            this.updatePreview();
+        });
+    }
+
+    /**
+     * ダイアログを表示し、適用するIDの変更を返す
+     * @param {{selectedIds: Array<string>, prefix: string, startPointId: string}} options - 選択中のポイントID、接頭辞・開始ポイントの初期値
+     * @returns {Promise<Array<{id: string, newId: string}>|null>} IDの変更（キャンセル時はnull）
+     */
+    open({ selectedIds, prefix, startPointId }) {
+        this.selectedIds = selectedIds;
+        this.path = null;
+
+        const selectedOption = this.targetSelect.querySelector('option[value="selected"]');
+        selectedOption.disabled = selectedIds.length === 0;
+        selectedOption.textContent = `選択中のポイント（${selectedIds.length}個）`;
+        this.targetSelect.value = selectedIds.length > 1 ? 'selected' : 'all';
+        this.prefixField.value = prefix;
+        this.startNumberField.value = 1;
+        this.startPointField.value = startPointId || '';
+        this.updatePreview();
+
+        this.dialog.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    // ダイアログを閉じて結果を返す
+    close(result) {
+        this.dialog.style.display = 'none';
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+
+    // 入力内容からプレビューを作成して表示
+    updatePreview() {
+        const order = this.orderSelect.value;
+        this.startPointField.disabled = order !== 'nearest';
+        this.drawPathButton.disabled = order !== 'path';
+        this.pathStatus.textContent = this.path ? `${this.path.length}点の経路` : '未描画';
+
+        try {
+            this.entries = this.buildPreview({
+                pointIds: this.targetSelect.value === 'selected' ? this.selectedIds : null,
+                prefix: this.prefixField.value,
+                startNumber: parseInt(this.startNumberField.value, 10),
+                order: order,
+                startPointId: this.startPointField.value,
+                path: this.path
+            });
+        } catch (error) {
+            this.entries = [];
+            this.summary.textContent = error.message;
+            this.table.innerHTML = '';
+            this.okButton.disabled = true;
+            return;
+        }
+
+        const changedCount = this.entries.filter(({ point, newId }) => point.id !== newId).length;
+        this.summary.textContent = `${this.entries.length}個のポイントのうち${changedCount}個のIDを変更します` +
+            (this.entries.length > CONFIG.RENUMBER_PREVIEW_ROWS ? `（先頭${CONFIG.RENUMBER_PREVIEW_ROWS}件を表示）` : '');
+        this.okButton.disabled = changedCount === 0;
+        this.renderTable();
+    }
+
+    // 並び順の変更前・変更後のIDを表に表示
+    renderTable() {
+        this.table.innerHTML = '';
+
+        const headerTr = this.table.createTHead().insertRow();
+        ['順番', '変更前', '変更後', '名称'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerTr.appendChild(th);
+        });
+
+        const tbody = this.table.createTBody();
+        this.entries.slice(0, CONFIG.RENUMBER_PREVIEW_ROWS).forEach(({ point, newId }, index) => {
+            const tr = tbody.insertRow();
+            tr.className = point.id === newId ? 'merge-unchanged' : 'merge-changed';
+            [index + 1, point.id, newId, point.location].forEach(value => {
+                tr.insertCell().textContent = value;
+            });
+        });
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * 形（円・四角・三角・ひし形）を指定できるポイントマーカー
+ * L.CircleMarkerを拡張し、Canvasレンダラーでは円以外の形を多角形として描画する
+ * （クリック判定は円と同じく半径内で行う）
+ */
+
+// マーカーの形と表示名
+export const MARKER_SHAPES = {
+    circle: '円',
+    square: '四角',
+    triangle: '三角',
+    diamond: 'ひし形'
+};
+
+/**
+ * 形の頂点の座標を取得（円の場合は空の配列）
+ * @param {string} shape - 形（MARKER_SHAPESのキー）
+ * @param {number} x - 中心のX座標
+ * @param {number} y - 中心のY座標
+ * @param {number} r - 半径（外接円）
+ * @returns {Array<[number, number]>} 頂点の座標
+ */
+export function getShapeVertices(shape, x, y, r) {
+    switch (shape) {
+        case 'square': {
+            // 円と見た目の大きさを揃えるため、外接円より少し小さくする
+            const half = r * 0.9;
+            return [[x - half, y - half], [x + half, y - half], [x + half, y + half], [x - half, y + half]];
+        }
+        case 'triangle':
+            return [[x, y - r], [x + r * 0.866, y + r * 0.5], [x - r * 0.866, y + r * 0.5]];
+        case 'diamond':
+            return [[x, y - r], [x + r, y], [x, y + r], [x - r, y]];
+        default:
+            return [];
+    }
+}
+
+export const ShapeMarker = L.CircleMarker.extend({
+    options: {
+        shape: 'circle'
+    },
+
+    // Leaflet内部の描画処理を置き換え（Canvasレンダラー以外・円の場合は元の処理）
+    _updatePath() {
+        const renderer = this._renderer;
+        if (this.options.shape === 'circle' || !renderer._ctx) {
+            L.CircleMarker.prototype._updatePath.call(this);
+            return;
+        }
+        if (!renderer._drawing || this._empty()) return;
+
+        const ctx = renderer._ctx;
+        const r = Math.max(Math.round(this._radius), 1);
+        ctx.beginPath();
+        getShapeVertices(this.options.shape, this._point.x, this._point.y, r).forEach(([x, y], index) => {
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.closePath();
+        renderer._fillStroke(ctx, this);
+    }
+});
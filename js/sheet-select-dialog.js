@@ -0,0 +1,61 @@
+// シート選択ダイアログ管理クラス
+export class SheetSelectDialog {
+    constructor() {
+        this.dialog = document.getElementById('sheetSelectDialog');
+        this.sheetSelect = document.getElementById('sheetSelect');
+        this.allSheetsCheckbox = document.getElementById('sheetSelectAllCheckbox');
+
+        this.resolve = null; // 表示中のダイアログの結果を返す関数
+
+        this.initEventHandlers();
+    }
+
+    // イベントハンドラーを初期化
+    initEventHandlers() {
+        document.getElementById('sheetSelectOkBtn').addEventListener('click', () => {
+            if (this.allSheetsCheckbox.checked) {
+                this.close({ mode: 'all' });
+            } else {
+                this.close({ mode: 'single', sheetName: this.sheetSelect.value });
+            }
+        });
+
+        document.getElementById('sheetSelectCancelBtn').addEventListener('click', () => {
+            this.close(null);
+        });
+
+        // すべてのシートを読み込む場合はシートの選択を無効化
+        this.allSheetsCheckbox.addEventListener('change', () => {
+            this.sheetSelect.disabled = this.allSheetsCheckbox.checked;
+        });
+    }
+
+    /**
+     * ダイアログを表示し、読み込むシートを返す
+     * @param {Array<string>} sheetNames - シート名一覧
+     * @returns {Promise<{mode: string, sheetName?: string}|null>} 選択結果（キャンセル時はnull）
+     */
+    open(sheetNames) {
+        this.sheetSelect.innerHTML = '';
+        sheetNames.forEach(name => {
+            this.sheetSelect.add(new Option(name, name));
+        });
+        this.sheetSelect.disabled = false;
+        this.allSheetsCheckbox.checked = false;
+
+        this.dialog.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    // ダイアログを閉じて結果を返す
+    close(result) {
+        this.dialog.style.display = 'none';
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+}
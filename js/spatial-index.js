@@ -0,0 +1,137 @@
+import { DataUtils } from './data-utils.js';
+
+/**
+ * 緯度経度の格子による空間インデックス
+ * 多数のポイントから指定範囲内のものを高速に検索するために使用
+ */
+export class SpatialIndex {
+    /**
+     * @param {number} cellSize - 格子の大きさ（度）
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // セルキー -> Set<id>
+        this.entries = new Map(); // id -> {lat, lng, key}
+    }
+
+    /**
+     * 座標が属するセルのキーを取得
+     * @param {number} lat - 緯度
+     * @param {number} lng - 経度
+     * @returns {string} セルキー
+     */
+    getCellKey(lat, lng) {
+        return `${Math.floor(lat / this.cellSize)}:${Math.floor(lng / this.cellSize)}`;
+    }
+
+    /**
+     * 登録（登録済みのIDは位置を更新）
+     * @param {string} id - ポイントID
+     * @param {number} lat - 緯度
+     * @param {number} lng - 経度
+     */
+    insert(id, lat, lng) {
+        if (this.entries.has(id)) {
+            this.remove(id);
+        }
+
+        const key = this.getCellKey(lat, lng);
+        if (!this.cells.has(key)) {
+            this.cells.set(key, new Set());
+        }
+        this.cells.get(key).add(id);
+        this.entries.set(id, { lat, lng, key });
+    }
+
+    /**
+     * 削除
+     * @param {string} id - ポイントID
+     */
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        const cell = this.cells.get(entry.key);
+        if (cell) {
+            cell.delete(id);
+            if (cell.size === 0) {
+                this.cells.delete(entry.key);
+            }
+        }
+        this.entries.delete(id);
+    }
+
+    /**
+     * IDを変更
+     * @param {string} oldId - 変更前のID
+     * @param {string} newId - 変更後のID
+     */
+    rename(oldId, newId) {
+        const entry = this.entries.get(oldId);
+        if (!entry) return;
+
+        this.remove(oldId);
+        this.insert(newId, entry.lat, entry.lng);
+    }
+
+    /**
+     * 矩形範囲内のIDを検索
+     * @param {number} minLat - 南端の緯度
+     * @param {number} minLng - 西端の経度
+     * @param {number} maxLat - 北端の緯度
+     * @param {number} maxLng - 東端の経度
+     * @returns {Array<string>} 範囲内のポイントID
+     */
+    search(minLat, minLng, maxLat, maxLng) {
+        const result = [];
+        const minRow = Math.floor(minLat / this.cellSize);
+        const maxRow = Math.floor(maxLat / this.cellSize);
+        const minCol = Math.floor(minLng / this.cellSize);
+        const maxCol = Math.floor(maxLng / this.cellSize);
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const cell = this.cells.get(`${row}:${col}`);
+                if (!cell) continue;
+
+                cell.forEach(id => {
+                    const entry = this.entries.get(id);
+                    if (entry.lat >= minLat && entry.lat <= maxLat && entry.lng >= minLng && entry.lng <= maxLng) {
+                        result.push(id);
+                    }
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 指定位置から指定距離内のIDを近い順に検索
+     * @param {number} lat - 緯度
+     * @param {number} lng - 経度
+     * @param {number} distance - 距離（メートル）
+     * @returns {Array<{id: string, distance: number}>} 距離内のポイントIDと距離（メートル）
+     */
+    searchWithinDistance(lat, lng, distance) {
+        // 距離を囲む矩形で候補を絞り込んでから実距離で判定
+        const latMargin = distance / 110540;
+        const lngMargin = distance / (111320 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+        return this.search(lat - latMargin, lng - lngMargin, lat + latMargin, lng + lngMargin)
+            .map(id => {
+                const entry = this.entries.get(id);
+                return { id, distance: DataUtils.calculateDistance(lat, lng, entry.lat, entry.lng) };
+            })
+            .filter(result => result.distance <= distance)
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * すべて削除
+     */
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+    }
+}
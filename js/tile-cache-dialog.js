@@ -0,0 +1,247 @@
+// オフライン地図（タイル保存）ダイアログ管理クラス
+import { CONFIG } from './config.js';
+import { DataUtils } from './data-utils.js';
+import { TileCache } from './tile-cache.js';
+
+// 容量を読みやすい単位で表示
+function formatBytes(bytes) {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)}GB`;
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)}MB`;
+    return `${Math.ceil(bytes / 1024)}KB`;
+}
+
+export class TileCacheDialog {
+    /**
+     * @param {TileCache} tileCache - タイル保存
+     * @param {{getBounds: Function, onShowArea: Function}} handlers - 範囲の取得 getBounds('view' | 'points') => {south, west, north, east}|null、
+     *        保存した範囲の表示 onShowArea(bounds)
+     */
+    constructor(tileCache, handlers) {
+        this.tileCache = tileCache;
+        this.handlers = handlers;
+
+        this.dialog = document.getElementById('tileCacheDialog');
+        this.rangeSelect = document.getElementById('tileCacheRangeSelect');
+        this.nameField = document.getElementById('tileCacheNameField');
+        this.minZoomField = document.getElementById('tileCacheMinZoomField');
+        this.maxZoomField = document.getElementById('tileCacheMaxZoomField');
+        this.layerList = document.getElementById('tileCacheLayerList');
+        this.estimateLabel = document.getElementById('tileCacheEstimate');
+        this.progressArea = document.getElementById('tileCacheProgressArea');
+        this.progressBar = document.getElementById('tileCacheProgressBar');
+        this.progressText = document.getElementById('tileCacheProgressText');
+        this.usageLabel = document.getElementById('tileCacheUsage');
+        this.areaTable = document.getElementById('tileCacheAreaTable');
+        this.downloadButton = document.getElementById('tileCacheDownloadBtn');
+        this.clearButton = document.getElementById('tileCacheClearBtn');
+
+        this.abortController = null; // ダウンロード中の場合は中止用のコントローラー
+
+        this.initLayerList();
+        this.initEventHandlers();
+    }
+
+    // 保存する地図のチェックボックスを作成
+    initLayerList() {
+        this.layerCheckboxes = TileCache.getLayers().map(layer => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = layer.id;
+            checkbox.addEventListener('change', () => this.updateEstimate());
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(layer.name));
+            this.layerList.appendChild(label);
+            return checkbox;
+        });
+    }
+
+    // イベントハンドラーを初期化
+    initEventHandlers() {
+        [this.rangeSelect, this.minZoomField, this.maxZoomField].forEach(field => {
+            field.addEventListener('change', () => this.updateEstimate());
+        });
+
+        this.downloadButton.addEventListener('click', () => {
+            this.download();
+        });
+
+        document.getElementById('tileCacheAbortBtn').addEventListener('click', () => {
+            if (this.abortController) {
+                this.abortController.abort();
+            }
+        });
+
+        this.clearButton.addEventListener('click', async () => {
+            if (!confirm('保存したすべての地図を削除しますか？')) return;
+            await this.tileCache.clear();
+            this.renderAreas();
+        });
+
+        // ダウンロード中に閉じた場合もダウンロードは続行（再度開くと進捗を表示）
+        document.getElementById('tileCacheCloseBtn').addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    /**
+     * ダイアログを表示
+     * @param {{zoom: number, layerIds: Array<string>}} defaults - 現在のズームと表示中の地図（ズーム範囲・保存する地図の初期値）
+     */
+    open({ zoom, layerIds }) {
+        if (!this.abortController) {
+            this.nameField.value = `範囲 ${this.tileCache.getAreas().length + 1}`;
+            this.minZoomField.value = Math.max(zoom - 2, 0);
+            this.maxZoomField.value = Math.min(zoom + 2, CONFIG.MAP_MAX_ZOOM);
+            this.layerCheckboxes.forEach(checkbox => {
+                checkbox.checked = layerIds.includes(checkbox.value);
+            });
+            this.updateEstimate();
+        }
+        this.renderAreas();
+        this.dialog.style.display = 'flex';
+    }
+
+    // ダイアログを閉じる
+    close() {
+        this.dialog.style.display = 'none';
+    }
+
+    /**
+     * 入力内容から保存する範囲を作成（入力が正しくない場合はエラーの内容）
+     * @returns {{area: Object}|{error: string}}
+     */
+    getArea() {
+        const bounds = this.handlers.getBounds(this.rangeSelect.value);
+        if (!bounds) {
+            return { error: 'ポイントがありません' };
+        }
+
+        const minZoom = parseInt(this.minZoomField.value, 10);
+        const maxZoom = parseInt(this.maxZoomField.value, 10);
+        if (isNaN(minZoom) || isNaN(maxZoom) || minZoom < 0 || maxZoom > CONFIG.MAP_MAX_ZOOM || minZoom > maxZoom) {
+            return { error: `ズームは0〜${CONFIG.MAP_MAX_ZOOM}の範囲で、最小以上の最大を指定してください` };
+        }
+
+        const layerIds = this.layerCheckboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+        if (layerIds.length === 0) {
+            return { error: '保存する地図を選択してください' };
+        }
+
+        const name = this.nameField.value.trim() || `範囲 ${this.tileCache.getAreas().length + 1}`;
+        return { area: { name, bounds, minZoom, maxZoom, layerIds } };
+    }
+
+    // タイル数と容量の目安を表示（上限を超える場合は保存不可）
+    updateEstimate() {
+        const result = this.getArea();
+        if ('error' in result) {
+            this.estimateLabel.textContent = result.error;
+            this.downloadButton.disabled = true;
+            return;
+        }
+
+        const { tileCount, bytes } = TileCache.estimate(result.area);
+        const isOverLimit = tileCount > CONFIG.TILE_CACHE_MAX_TILES;
+        this.estimateLabel.textContent = `タイル ${tileCount.toLocaleString()}枚、容量の目安 約${formatBytes(bytes)}` +
+            (isOverLimit ? `（上限${CONFIG.TILE_CACHE_MAX_TILES.toLocaleString()}枚を超えています。範囲を狭くするか、最大ズームを小さくしてください）` : '');
+        this.downloadButton.disabled = isOverLimit || Boolean(this.abortController);
+    }
+
+    // 指定した範囲のタイルをダウンロードして保存
+    async download() {
+        const result = this.getArea();
+        if ('error' in result) {
+            alert(result.error);
+            return;
+        }
+        if (!TileCache.isSupported()) {
+            alert('このブラウザ（またはファイルを直接開いた状態）では地図を保存できません。Webサーバー経由で開いてください');
+            return;
+        }
+
+        this.abortController = new AbortController();
+        this.downloadButton.disabled = true;
+        this.clearButton.disabled = true;
+        this.progressArea.style.display = 'flex';
+        this.setProgress(0, 1);
+
+        try {
+            const area = await this.tileCache.download(result.area, (done, total) => this.setProgress(done, total),
+                this.abortController.signal);
+            const status = area.completed ? '保存しました' : '中止しました';
+            const failedNote = area.failedCount > 0 ? `（取得できなかったタイル ${area.failedCount}枚）` : '';
+            this.progressText.textContent = `${status}: ${area.tileCount.toLocaleString()}枚、${formatBytes(area.bytes)}${failedNote}`;
+        } catch (error) {
+            console.error('地図の保存エラー:', error);
+            this.progressText.textContent = `保存に失敗しました: ${error.message}`;
+        } finally {
+            this.abortController = null;
+            this.clearButton.disabled = false;
+            this.updateEstimate();
+            this.renderAreas();
+        }
+    }
+
+    setProgress(done, total) {
+        this.progressBar.value = total > 0 ? done / total : 0;
+        this.progressText.textContent = `${done.toLocaleString()} / ${total.toLocaleString()}枚`;
+    }
+
+    // 保存した範囲の一覧と保存領域の使用量を表示
+    async renderAreas() {
+        const areas = this.tileCache.getAreas();
+        this.areaTable.innerHTML = '';
+
+        if (areas.length > 0) {
+            const headerTr = this.areaTable.createTHead().insertRow();
+            ['名前', 'ズーム', '地図', 'タイル数', '容量', '保存日時', ''].forEach(label => {
+                const th = document.createElement('th');
+                th.textContent = label;
+                headerTr.appendChild(th);
+            });
+
+            const layerNames = new Map(TileCache.getLayers().map(layer => [layer.id, layer.name]));
+            const tbody = this.areaTable.createTBody();
+            areas.forEach(area => {
+                const tr = tbody.insertRow();
+                [
+                    area.completed ? area.name : `${area.name}（中止）`,
+                    `${area.minZoom}〜${area.maxZoom}`,
+                    area.layerIds.map(id => layerNames.get(id) || id).join('、'),
+                    area.tileCount.toLocaleString(),
+                    formatBytes(area.bytes),
+                    DataUtils.formatDateTime(new Date(area.createdAt))
+                ].forEach(value => {
+                    tr.insertCell().textContent = value;
+                });
+
+                const actionCell = tr.insertCell();
+                const showButton = document.createElement('button');
+                showButton.type = 'button';
+                showButton.className = 'table-action-btn';
+                showButton.textContent = '表示';
+                showButton.addEventListener('click', () => {
+                    this.close();
+                    this.handlers.onShowArea(area.bounds);
+                });
+
+                const deleteButton = document.createElement('button');
+                deleteButton.type = 'button';
+                deleteButton.className = 'table-action-btn';
+                deleteButton.textContent = '削除';
+                deleteButton.addEventListener('click', async () => {
+                    await this.tileCache.deleteArea(area.id);
+                    this.renderAreas();
+                });
+                actionCell.append(showButton, deleteButton);
+            });
+        }
+
+        const savedBytes = areas.reduce((sum, area) => sum + area.bytes, 0);
+        const storage = await this.tileCache.getStorageUsage();
+        this.usageLabel.textContent = `保存した地図 ${areas.length}件、${formatBytes(savedBytes)}` +
+            (storage ? `（ブラウザの保存領域の使用量 ${formatBytes(storage.usage)} / ${formatBytes(storage.quota)}）` : '');
+    }
+}
@@ -0,0 +1,229 @@
+import { CONFIG } from './config.js';
+
+/**
+ * 地図タイルのオフライン保存を管理するクラス
+ * タイルはCache APIに保存し、サービスワーカー（sw.js）が地図の表示時に保存済みのタイルを返す
+ * 保存した範囲の一覧はlocalStorageに記録する
+ */
+export class TileCache {
+    constructor() {
+        this.areas = this.loadAreas(); // 保存した範囲 [{id, name, bounds, minZoom, maxZoom, layerIds, tileCount, bytes, failedCount, completed, createdAt}]
+    }
+
+    /**
+     * Cache APIを使用できるか（file://で開いた場合や非対応ブラウザでは使用できない）
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof caches !== 'undefined' && typeof fetch !== 'undefined';
+    }
+
+    /**
+     * 保存対象にできる地図（背景地図・重ねる地図）の一覧
+     * @returns {Array<{id: string, name: string, url: string, maxNativeZoom: number}>}
+     */
+    static getLayers() {
+        return [...CONFIG.BASE_LAYERS, ...CONFIG.OVERLAY_LAYERS];
+    }
+
+    /**
+     * 緯度経度をタイル番号に変換
+     * @param {number} lat - 緯度
+     * @param {number} lng - 経度
+     * @param {number} zoom - ズームレベル
+     * @returns {{x: number, y: number}} タイル番号
+     */
+    static latLngToTile(lat, lng, zoom) {
+        const tileCount = 2 ** zoom;
+        const latRadians = Math.max(Math.min(lat, 85.0511), -85.0511) * Math.PI / 180;
+        const x = Math.floor((lng + 180) / 360 * tileCount);
+        const y = Math.floor((1 - Math.log(Math.tan(latRadians) + 1 / Math.cos(latRadians)) / Math.PI) / 2 * tileCount);
+        return {
+            x: Math.min(Math.max(x, 0), tileCount - 1),
+            y: Math.min(Math.max(y, 0), tileCount - 1)
+        };
+    }
+
+    /**
+     * 範囲・ズームに含まれるタイル番号の範囲を取得
+     * @param {{south: number, west: number, north: number, east: number}} bounds - 範囲
+     * @param {number} zoom - ズームレベル
+     * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+     */
+    static getTileRange(bounds, zoom) {
+        const northWest = this.latLngToTile(bounds.north, bounds.west, zoom);
+        const southEast = this.latLngToTile(bounds.south, bounds.east, zoom);
+        return { minX: northWest.x, maxX: southEast.x, minY: northWest.y, maxY: southEast.y };
+    }
+
+    /**
+     * 保存するタイルのURLを取得
+     * 地図が提供されている最大ズームより大きいズームは、地図の表示時に最大ズームのタイルを拡大するため取得しない
+     * @param {{bounds: Object, minZoom: number, maxZoom: number, layerIds: Array<string>}} area - 保存する範囲
+     * @returns {Array<string>} タイルのURL
+     */
+    static getTileUrls({ bounds, minZoom, maxZoom, layerIds }) {
+        const urls = [];
+        this.getLayers().filter(layer => layerIds.includes(layer.id)).forEach(layer => {
+            for (let zoom = minZoom; zoom <= Math.min(maxZoom, layer.maxNativeZoom); zoom++) {
+                const range = this.getTileRange(bounds, zoom);
+                for (let x = range.minX; x <= range.maxX; x++) {
+                    for (let y = range.minY; y <= range.maxY; y++) {
+                        urls.push(layer.url.replace('{z}', zoom).replace('{x}', x).replace('{y}', y));
+                    }
+                }
+            }
+        });
+        return urls;
+    }
+
+    /**
+     * 保存するタイル数と容量の目安を計算（容量はタイル形式ごとの平均サイズから推定）
+     * @param {{bounds: Object, minZoom: number, maxZoom: number, layerIds: Array<string>}} area - 保存する範囲
+     * @returns {{tileCount: number, bytes: number}}
+     */
+    static estimate({ bounds, minZoom, maxZoom, layerIds }) {
+        let tileCount = 0;
+        let bytes = 0;
+        this.getLayers().filter(layer => layerIds.includes(layer.id)).forEach(layer => {
+            const tileBytes = layer.url.endsWith('.jpg')
+                ? CONFIG.TILE_CACHE_AVERAGE_JPG_BYTES
+                : CONFIG.TILE_CACHE_AVERAGE_PNG_BYTES;
+            for (let zoom = minZoom; zoom <= Math.min(maxZoom, layer.maxNativeZoom); zoom++) {
+                const range = this.getTileRange(bounds, zoom);
+                const count = (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+                tileCount += count;
+                bytes += count * tileBytes;
+            }
+        });
+        return { tileCount, bytes };
+    }
+
+    /**
+     * 範囲のタイルをダウンロードして保存し、保存した範囲の一覧に追加
+     * 中止した場合もそれまでに保存したタイルは範囲として記録する（一覧から削除できるように）
+     * @param {{name: string, bounds: Object, minZoom: number, maxZoom: number, layerIds: Array<string>}} area - 保存する範囲
+     * @param {Function} onProgress - 進捗の通知 onProgress(doneCount, totalCount)
+     * @param {AbortSignal} signal - 中止用のシグナル
+     * @returns {Promise<Object>} 記録した範囲
+     */
+    async download(area, onProgress, signal) {
+        const urls = TileCache.getTileUrls(area);
+        if (urls.length > CONFIG.TILE_CACHE_MAX_TILES) {
+            throw new Error(`タイル数が上限（${CONFIG.TILE_CACHE_MAX_TILES}枚）を超えています。範囲を狭くするか、最大ズームを小さくしてください`);
+        }
+
+        const cache = await caches.open(CONFIG.TILE_CACHE_NAME);
+        const result = { tileCount: 0, bytes: 0, failedCount: 0 };
+        let nextIndex = 0;
+        let doneCount = 0;
+
+        // 地理院タイルのサーバーに負荷をかけないよう、同時に取得する数を制限
+        const worker = async () => {
+            while (nextIndex < urls.length && !signal.aborted) {
+                const url = urls[nextIndex++];
+                try {
+                    let response = await cache.match(url);
+                    if (!response) {
+                        response = await fetch(url, { signal });
+                        if (!response.ok) {
+                            throw new Error(`HTTP ${response.status}`);
+                        }
+                        await cache.put(url, response.clone());
+                    }
+                    result.bytes += (await response.blob()).size;
+                    result.tileCount++;
+                } catch (error) {
+                    if (signal.aborted) break;
+                    // 海域等でタイルが存在しない場合もあるため、失敗したタイルは数えて続行
+                    result.failedCount++;
+                }
+                doneCount++;
+                onProgress(doneCount, urls.length);
+            }
+        };
+        await Promise.all(Array.from({ length: CONFIG.TILE_CACHE_CONCURRENCY }, worker));
+
+        const savedArea = {
+            id: String(Date.now()),
+            name: area.name,
+            bounds: area.bounds,
+            minZoom: area.minZoom,
+            maxZoom: area.maxZoom,
+            layerIds: area.layerIds,
+            ...result,
+            completed: !signal.aborted,
+            createdAt: new Date().toISOString()
+        };
+        this.areas.push(savedArea);
+        this.storeAreas();
+        return savedArea;
+    }
+
+    /**
+     * 保存した範囲の一覧を取得
+     * @returns {Array<Object>}
+     */
+    getAreas() {
+        return [...this.areas];
+    }
+
+    /**
+     * 保存した範囲を削除（他の範囲と重なるタイルは残す）
+     * @param {string} areaId - 範囲のID
+     */
+    async deleteArea(areaId) {
+        const area = this.areas.find(item => item.id === areaId);
+        if (!area) return;
+
+        this.areas = this.areas.filter(item => item !== area);
+        this.storeAreas();
+
+        const keepUrls = new Set(this.areas.flatMap(item => TileCache.getTileUrls(item)));
+        const cache = await caches.open(CONFIG.TILE_CACHE_NAME);
+        for (const url of TileCache.getTileUrls(area)) {
+            if (!keepUrls.has(url)) {
+                await cache.delete(url);
+            }
+        }
+    }
+
+    /**
+     * 保存したタイルをすべて削除
+     */
+    async clear() {
+        this.areas = [];
+        this.storeAreas();
+        await caches.delete(CONFIG.TILE_CACHE_NAME);
+    }
+
+    /**
+     * ブラウザの保存領域の使用量と上限を取得（取得できない場合はnull）
+     * @returns {Promise<{usage: number, quota: number}|null>}
+     */
+    async getStorageUsage() {
+        if (!navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+
+    loadAreas() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.TILE_CACHE_AREAS_STORAGE_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('保存した地図の範囲の読み込みに失敗しました:', error);
+            return [];
+        }
+    }
+
+    storeAreas() {
+        try {
+            localStorage.setItem(CONFIG.TILE_CACHE_AREAS_STORAGE_KEY, JSON.stringify(this.areas));
+        } catch (error) {
+            console.warn('保存した地図の範囲の保存に失敗しました:', error);
+        }
+    }
+}
@@ -0,0 +1,125 @@
+// PointGPS サービスワーカー
+// ・アプリのファイル（HTML, CSS, JavaScript, CDNのライブラリ）を保存し、通信できない場所でも起動できるようにする
+// ・地図タイルは「オフライン地図」で保存したもの（js/tile-cache.js）があればそれを返す
+// キャッシュ名はjs/config.jsのTILE_CACHE_NAMEと合わせる
+
+const APP_CACHE_NAME = 'pointgps-app-v3';
+const TILE_CACHE_NAME = 'pointgps-tiles';
+const TILE_HOST = 'cyberjapandata.gsi.go.jp';
+
+// インストール時に保存するファイル（ES Modulesで読み込むファイルを含む）
+const APP_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'js/app.js',
+    'js/column-mapping-dialog.js',
+    'js/config.js',
+    'js/data-utils.js',
+    'js/duplicate-id-dialog.js',
+    'js/edit-history.js',
+    'js/elevation-api.js',
+    'js/file-handler.js',
+    'js/gps-data-manager.js',
+    'js/id-scheme-dialog.js',
+    'js/import-report-dialog.js',
+    'js/map-manager.js',
+    'js/merge-preview-dialog.js',
+    'js/near-duplicate-dialog.js',
+    'js/shape-marker.js',
+    'js/marker-style.js',
+    'js/marker-style-dialog.js',
+    'js/marker-legend.js',
+    'js/parse-worker.js',
+    'js/path-drawer.js',
+    'js/point-label-layer.js',
+    'js/point-manager.js',
+    'js/point-order.js',
+    'js/point-search.js',
+    'js/point-table.js',
+    'js/renumber-dialog.js',
+    'js/sheet-select-dialog.js',
+    'js/spatial-index.js',
+    'js/tile-cache.js',
+    'js/tile-cache-dialog.js',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/xlsx@0.18.5/dist/xlsx.full.min.js',
+    'https://unpkg.com/xlsx@0.18.5/xlsx.mjs', // 解析用Web Worker（js/parse-worker.js）が読み込むES Modules版
+    'https://unpkg.com/jszip@3.10.1/dist/jszip.min.js',
+    'https://unpkg.com/encoding-japanese@2.2.0/encoding.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    // 1件の取得失敗でインストール全体が失敗しないよう、ファイルごとに保存
+    event.waitUntil(
+        caches.open(APP_CACHE_NAME)
+            .then(cache => Promise.all(APP_FILES.map(url =>
+                cache.add(url).catch(error => console.warn('保存に失敗しました:', url, error))
+            )))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // 古いバージョンのアプリのキャッシュを削除（保存したタイルは残す）
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== APP_CACHE_NAME && name !== TILE_CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.hostname === TILE_HOST) {
+        event.respondWith(fetchTile(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(fetchAppFile(request));
+    } else if (url.hostname === 'unpkg.com') {
+        event.respondWith(fetchLibrary(request));
+    }
+    // 標高API等のその他の通信はそのまま（オフライン時は各処理で失敗として扱う）
+});
+
+// 地図タイル：保存済みのタイルを優先し、無い場合は通信して取得（表示しただけのタイルは保存しない）
+async function fetchTile(request) {
+    const cache = await caches.open(TILE_CACHE_NAME);
+    const cached = await cache.match(request.url);
+    return cached || fetch(request);
+}
+
+// アプリのファイル：更新を反映するため通信を優先し、通信できない場合は保存済みのファイルを返す
+async function fetchAppFile(request) {
+    const cache = await caches.open(APP_CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// CDNのライブラリ：バージョン固定のため保存済みのものを優先
+async function fetchLibrary(request) {
+    const cache = await caches.open(APP_CACHE_NAME);
+    const cached = await cache.match(request.url);
+    if (cached) return cached;
+
+    // エラーの応答を保存すると以後も返し続けるため、正常な応答のみ保存
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request.url, response.clone());
+    }
+    return response;
+}